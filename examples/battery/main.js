@@ -0,0 +1,15 @@
+import Battery from "j5e/battery";
+
+const battery = await new Battery({
+  pin: 14,
+  chemistry: "LiPo",
+  resistors: [10000, 10000]
+});
+
+battery.on("change", function() {
+  trace(`${battery.volts}V ${battery.percent}%\n`);
+});
+
+battery.on("low", function(percent) {
+  trace(`Battery low: ${percent}%\n`);
+});
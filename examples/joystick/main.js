@@ -0,0 +1,16 @@
+import Joystick from "j5e/joystick";
+
+const joystick = await new Joystick({
+  pins: [14, 15],
+  button: 12
+});
+
+joystick.calibrate();
+
+joystick.on("change", function(position) {
+  trace(`x: ${position.x} y: ${position.y}\n`);
+});
+
+joystick.on("press", function() {
+  trace("press\n");
+});
@@ -0,0 +1,10 @@
+import Proximity from "j5e/proximity";
+
+const proximity = await new Proximity({
+  pin: 14,
+  controller: "GP2Y0A21"
+});
+
+proximity.on("change", function() {
+  trace(`${proximity.cm}cm ${proximity.in}in\n`);
+});
@@ -0,0 +1,10 @@
+import Thermometer from "j5e/thermometer";
+
+const thermometer = await new Thermometer({
+  pin: 14,
+  controller: "TMP36"
+});
+
+thermometer.on("change", function() {
+  trace(`${thermometer.celsius}°C ${thermometer.fahrenheit}°F\n`);
+});
@@ -0,0 +1,169 @@
+/**
+ * Class Ammeter
+ * @module j5e/ammeter
+ * @requires module:j5e/sensor
+ * @requires module:j5e/fn
+ */
+
+import Sensor from "j5e/sensor";
+import { toFixed, normalizeParams } from "j5e/fn";
+
+/**
+ * Class representing a Hall-effect current sensor
+ * @classdesc The Ammeter class measures current with an ACS712. Sensor values, thresholds and limits are in amps.
+ * @async
+ * @inheritdoc
+ * @extends module:j5e/sensor~Sensor
+ * @fires data
+ * @fires change
+ */
+class Ammeter extends Sensor {
+
+  /**
+   * Instantiate an ammeter
+   * @param {object} options - A pin number, pin identifier or a complete IO options object (See {@tutorial C-INSTANTIATING}
+   * @param {string} [options.controller="ACS712-05B"] - "ACS712-05B", "ACS712-20A" or "ACS712-30A"
+   * @param {number} [options.sensitivity] - Volts per amp. Defaults to the controller's sensitivity.
+   * @param {number} [options.vcc=5] - The sensor's supply voltage. The output is vcc / 2 at zero amps.
+   * @param {number} [options.aref=3.3] - The voltage of a full scale reading
+   * @param {number} [options.ratio=1] - The divider ratio between the sensor output and the pin (sensor voltage / pin voltage)
+   * @param {number} [options.zero] - The raw reading at zero amps. See calibrateZero().
+   * @param {boolean} [options.rms=false] - Report the root mean square of each batch of smoothing samples, for AC current. Use oversample to fill the window quickly.
+   * @param {number} [options.threshold=0.05] - The minimum change in amps required to emit a "change" event
+   * @param {number} [options.precision=3] - The number of decimal places in "data" and "change" event values
+   * @property {number} amps - Get the current to three decimal places. When rms is true this is the RMS current of the last window.
+   * @property {number} zero - Get/Set the raw reading at zero amps
+   * @property {number} sensitivity - Get/Set the volts per amp
+   * @property {string} controller - The sensor model
+   * @example
+   * <caption>Measure DC current</caption>
+   * import Ammeter from "j5e/ammeter";
+   *
+   * const ammeter = await new Ammeter({
+   *   pin: 12,
+   *   controller: "ACS712-20A",
+   *   ratio: 1.5
+   * });
+   *
+   * // Make sure nothing is drawing current
+   * ammeter.calibrateZero();
+   *
+   * ammeter.on("change", amps => {
+   *   trace(`${amps}A\n`);
+   * });
+   *
+   * @example
+   * <caption>Measure 60Hz AC current</caption>
+   * import Ammeter from "j5e/ammeter";
+   *
+   * const ammeter = await new Ammeter({
+   *   pin: 12,
+   *   rms: true,
+   *   oversample: 50,
+   *   smoothing: 200
+   * });
+   */
+  constructor(options) {
+    return (async() => {
+      options = Object.assign({ threshold: 0.05, precision: 3 }, normalizeParams(options));
+
+      const controller = String(options.controller || "ACS712-05B").toUpperCase();
+
+      if (!controllers[controller]) {
+        throw new Error(`Unknown ammeter controller "${options.controller}". Use "ACS712-05B", "ACS712-20A" or "ACS712-30A"`);
+      }
+
+      if (options.rms) {
+        options.filter = "rms";
+      }
+
+      const sensor = await super(options);
+      const vcc = options.vcc || 5;
+      const state = {
+        aref: options.aref || 3.3,
+        ratio: options.ratio || 1,
+        sensitivity: options.sensitivity || controllers[controller].sensitivity
+      };
+      state.zero = typeof options.zero === "number" ?
+        options.zero :
+        Math.round(vcc / 2 / state.ratio / state.aref * sensor.resolution);
+      states.set(sensor, state);
+
+      Object.defineProperties(sensor, {
+        controller: {
+          get() {
+            return controller;
+          }
+        },
+        amps: {
+          get() {
+            const amps = options.rms ? this.filtered : this.value;
+            return amps === null ? null : toFixed(amps, 3);
+          }
+        },
+        zero: {
+          get() {
+            return state.zero;
+          },
+          set(newZero) {
+            state.zero = newZero;
+          }
+        },
+        sensitivity: {
+          get() {
+            return state.sensitivity;
+          },
+          set(newSensitivity) {
+            state.sensitivity = newSensitivity;
+          }
+        }
+      });
+
+      return sensor;
+    })();
+  }
+
+  /**
+   * Convert a raw reading to amps
+   * @ignore
+   */
+  convert(raw) {
+    const state = states.get(this);
+    return (raw - state.zero) / this.resolution * state.aref * state.ratio / state.sensitivity;
+  }
+
+  /**
+   * Take the current reading as zero amps. Make sure no current is flowing while this runs.
+   * @param {number} [samples=smoothing] - The number of reads to take
+   * @return {number} The new zero reading
+   * @example
+   * import Ammeter from "j5e/ammeter";
+   * const ammeter = await new Ammeter(12);
+   *
+   * const zero = ammeter.calibrateZero();
+   * trace(`Zero: ${zero}\n`);
+   */
+  calibrateZero(samples = this.smoothing) {
+    const state = states.get(this);
+    state.zero = Math.round(this.sample(samples));
+    return state.zero;
+  }
+
+}
+
+export default Ammeter;
+
+const states = new WeakMap();
+
+// Output sensitivity in volts per amp
+const controllers = {
+  "ACS712-05B": {
+    sensitivity: 0.185
+  },
+  "ACS712-20A": {
+    sensitivity: 0.1
+  },
+  "ACS712-30A": {
+    sensitivity: 0.066
+  }
+};
@@ -0,0 +1,189 @@
+/**
+ * Class Battery
+ * @module j5e/battery
+ * @requires module:j5e/voltmeter
+ * @requires module:j5e/fn
+ */
+
+import Voltmeter from "j5e/voltmeter";
+import { interpolate, normalizeParams } from "j5e/fn";
+
+/**
+ * Class representing a battery gauge
+ * @classdesc The Battery class estimates the charge left in a battery from its voltage using a discharge curve for its chemistry.
+ * @async
+ * @inheritdoc
+ * @extends module:j5e/voltmeter~Voltmeter
+ * @fires data
+ * @fires change
+ * @fires low
+ * @fires critical
+ */
+class Battery extends Voltmeter {
+
+  /**
+   * Instantiate a battery gauge
+   * @param {object} options - A pin number, pin identifier or a complete IO options object (See {@tutorial C-INSTANTIATING}. Voltmeter options (aref, ratio and resistors) are also supported.
+   * @param {string} [options.chemistry="LiPo"] - "LiPo", "NiMH" or "alkaline"
+   * @param {number[][]} [options.curve] - A custom discharge curve of [volts per cell, percent] points. Overrides chemistry.
+   * @param {number} [options.cells=1] - The number of cells in series
+   * @param {number} [options.low=20] - Emit "low" when the charge falls to this percent
+   * @param {number} [options.critical=5] - Emit "critical" when the charge falls to this percent
+   * @param {number} [options.hysteresis=3] - How many percent the charge must rise above low or critical before the event can fire again
+   * @property {number} percent - Get the estimated charge from 0 to 100
+   * @property {string} chemistry - The battery chemistry
+   * @property {number} cells - The number of cells in series
+   * @property {number} low - Get/Set the low charge percent
+   * @property {number} critical - Get/Set the critical charge percent
+   * @property {boolean} isLow - True once "low" has fired until the charge recovers
+   * @property {boolean} isCritical - True once "critical" has fired until the charge recovers
+   * @example
+   * <caption>Watch a 2S LiPo through a 10kΩ/10kΩ divider</caption>
+   * import Battery from "j5e/battery";
+   *
+   * const battery = await new Battery({
+   *   pin: 12,
+   *   cells: 2,
+   *   resistors: [10000, 10000]
+   * });
+   *
+   * battery.on("low", percent => {
+   *   trace(`Battery low: ${percent}%\n`);
+   * });
+   *
+   * battery.on("critical", () => {
+   *   trace("Shutting down\n");
+   * });
+   */
+  constructor(options) {
+    return (async() => {
+      options = normalizeParams(options);
+
+      const chemistry = options.curve ? "custom" : findChemistry(options.chemistry || "LiPo");
+
+      if (!chemistry) {
+        throw new Error(`Unknown battery chemistry "${options.chemistry}". Use "LiPo", "NiMH" or "alkaline"`);
+      }
+
+      const sensor = await super(options);
+      const state = {
+        curve: options.curve ? options.curve.slice().sort((a, b) => a[0] - b[0]) : curves[chemistry],
+        cells: options.cells || 1,
+        low: typeof options.low === "number" ? options.low : 20,
+        critical: typeof options.critical === "number" ? options.critical : 5,
+        hysteresis: typeof options.hysteresis === "number" ? options.hysteresis : 3,
+        isLow: false,
+        isCritical: false
+      };
+      states.set(sensor, state);
+
+      Object.defineProperties(sensor, {
+        chemistry: {
+          get() {
+            return chemistry;
+          }
+        },
+        cells: {
+          get() {
+            return state.cells;
+          }
+        },
+        percent: {
+          get() {
+            // Battery voltage sags under load so the filtered value is used
+            const volts = this.filtered === null ? this.value : this.filtered;
+            return volts === null ? null : Math.round(interpolate(volts / state.cells, state.curve));
+          }
+        },
+        low: {
+          get() {
+            return state.low;
+          },
+          set(newLow) {
+            state.low = newLow;
+          }
+        },
+        critical: {
+          get() {
+            return state.critical;
+          },
+          set(newCritical) {
+            state.critical = newCritical;
+          }
+        },
+        isLow: {
+          get() {
+            return state.isLow;
+          }
+        },
+        isCritical: {
+          get() {
+            return state.isCritical;
+          }
+        }
+      });
+
+      return sensor;
+    })();
+  }
+
+  /**
+   * Checks the charge for low and critical after each reading
+   * @ignore
+   */
+  eventProcessing() {
+    super.eventProcessing();
+
+    const state = states.get(this);
+
+    if (!state || this.filtered === null) {
+      return;
+    }
+
+    const percent = this.percent;
+
+    if (state.isLow && percent >= state.low + state.hysteresis) {
+      state.isLow = false;
+    }
+    if (state.isCritical && percent >= state.critical + state.hysteresis) {
+      state.isCritical = false;
+    }
+
+    if (!state.isLow && percent <= state.low) {
+      state.isLow = true;
+      this.emit("low", percent);
+    }
+    if (!state.isCritical && percent <= state.critical) {
+      state.isCritical = true;
+      this.emit("critical", percent);
+    }
+  }
+
+}
+
+export default Battery;
+
+const states = new WeakMap();
+
+// Typical resting voltage per cell and the percent of charge left
+const curves = {
+  LiPo: [
+    [3.27, 0], [3.61, 5], [3.69, 10], [3.71, 15], [3.73, 20], [3.75, 25],
+    [3.77, 30], [3.79, 35], [3.8, 40], [3.82, 45], [3.84, 50], [3.85, 55],
+    [3.87, 60], [3.91, 65], [3.95, 70], [3.98, 75], [4.02, 80], [4.08, 85],
+    [4.11, 90], [4.15, 95], [4.2, 100]
+  ],
+  NiMH: [
+    [1.0, 0], [1.1, 5], [1.15, 10], [1.18, 20], [1.2, 40], [1.22, 60],
+    [1.25, 80], [1.3, 90], [1.4, 100]
+  ],
+  alkaline: [
+    [0.9, 0], [1.0, 5], [1.1, 15], [1.18, 30], [1.26, 50], [1.35, 70],
+    [1.45, 90], [1.55, 100]
+  ]
+};
+
+// Match chemistry names without worrying about case
+function findChemistry(name) {
+  return Object.keys(curves).find(key => key.toLowerCase() === String(name).toLowerCase());
+}
@@ -6,11 +6,14 @@
  */
 
 import { Emitter } from "j5e/event";
-import { debounce, normalizeParams, getProvider, timer } from "j5e/fn";
+import { createDigitalInput, normalizeParams, getProvider, timer } from "j5e/fn";
 
+// Other names that can be used for "close" and "open"
 const aliases = {
-  down: ["down", "press"],
-  up: ["up", "release"]
+  down: "close",
+  press: "close",
+  up: "open",
+  release: "open"
 };
 
 /**
@@ -20,28 +23,55 @@ const aliases = {
  * @extends module:j5e/event.Emitter
  * @fires Button#open
  * @fires Button#close
+ * @fires Button#change
+ * @fires Button#hold
+ * @fires Button#longpress
+ * @fires Button#click
+ * @fires Button#dblclick
+ * @fires Button#multiclick
  */
 class Button extends Emitter {
 
+  static aliases = aliases;
+
   #state = {
     holdtime: null,
+    holdRepeat: null,
+    clickWindow: 250,
     last: null,
     isPullup: null,
-    interval: null
+    interval: null,
+    repeatInterval: null,
+    pressedAt: null,
+    clicks: 0,
+    clickTimeout: null,
+    input: null
   };
 
   /**
    * Instantiate a button
+   * The "close" event can also be listened for as "press" or "down", and "open" as "release" or "up". "change" fires after each with the new isClosed value.
    * @param {object} options - A pin number, pin identifier or a complete IO options object (See {@tutorial C-INSTANTIATING}
    * @param {boolean} [options.invert=false] - Inverts the up and down values
    * @param {boolean} [options.isPullup=false] - Initialize as a pullup button
    * @param {boolean} [options.isPulldown=false] - Initialize as a pulldown button
-   * @param {number} [options.holdtime=500] - The amount of time a button must be held down before emitting an hold event
+   * @param {number} [options.holdtime=500] - The amount of time a button must be held down before emitting an hold event. Releasing after holdtime is a "longpress" instead of a click.
+   * @param {number} [options.holdRepeat=null] - Repeat the "hold" event at this interval in ms while the button is held. By default "hold" fires once.
+   * @param {number} [options.clickWindow=250] - How long in ms to wait after a click for another click. "click", "dblclick" and "multiclick" fire when the window closes. 0 fires "click" on every release with no double click detection.
+   * @param {(number|string|object)} [options.debounce=7] - A time in ms, or a debounce strategy: "time" waits for the input to stop changing, "integrator" takes a run of agreeing samples and "lockout" fires on the first edge and ignores bounces. Pass an object for strategy options, e.g. { type: "integrator", samples: 5, interval: 1 }.
+   * @param {boolean} [options.poll=false] - Read the pin on a timer instead of using edge callbacks. Buttons on providers that cannot signal edges (I2C expanders, remote IO) are polled automatically.
+   * @param {number} [options.pollInterval=10] - The time between reads in ms when polling
+   * @param {string} [options.errorPolicy="throw"] - What to do with errors when nothing is listening for "error" ("log", "throw" or "stop")
    * @property {boolean} isClosed - True if the button is being pressed
    * @property {boolean} isOpen - True if the button is not being pressed
    * @property {number} downValue - Get the raw downValue (depends on invert, isPullup and isPulldown)
    * @property {number} upValue - Get the raw upValue (depends on invert, isPullup and, isPulldown)
    * @property {number} holdtime - Get/Set the holdtime
+   * @property {number} holdRepeat - Get/Set the hold repeat interval
+   * @property {number} clickWindow - Get/Set the time allowed between clicks
+   * @property {object} debounce - Get/Set the debounce strategy. Returns { type, time, samples, interval }.
+   * @property {boolean} isPolling - True if the pin is read on a timer instead of with edge callbacks
+   * @property {number} pollInterval - Get/Set the time between reads in ms when polling
    * @example
    * <caption>Use a button to control an LED</caption>
    * import Button from "j5e/button";
@@ -57,6 +87,21 @@ class Button extends Emitter {
    * button.on("close", function() {
    *   led.on();
    * });
+   *
+   * @example
+   * <caption>Use gestures to build a one button menu</caption>
+   * import Button from "j5e/button";
+   *
+   * const button = await new Button({
+   *   pin: 12,
+   *   holdtime: 1000,
+   *   holdRepeat: 200
+   * });
+   *
+   * button.on("click", () => menu.next());
+   * button.on("dblclick", () => menu.previous());
+   * button.on("hold", () => menu.scroll());
+   * button.on("longpress", duration => menu.select());
    */
   constructor(options) {
     return (async() => {
@@ -65,7 +110,7 @@ class Button extends Emitter {
       let invert = false;
 
       options = normalizeParams(options);
-      super();
+      super(options);
 
       const Provider = await getProvider(options, "builtin/digital");
 
@@ -77,15 +122,22 @@ class Button extends Emitter {
         mode = Provider.InputPullDown;
       }
 
-      this.io = new Provider({
+      // Create a debounce boundary on event triggers
+      // this avoids button events firing on
+      // press noise and false positives
+      this.#state.input = createDigitalInput(Provider, {
         pin: options.pin,
         mode,
-        edge: Provider.Rising | Provider.Falling,
-        onReadable: () => {
-          this.trigger();
-        }
+        poll: options.poll,
+        pollInterval: options.pollInterval,
+        debounce: typeof options.debounce === "undefined" ? 7 : options.debounce
+      }, {
+        onChange: value => this.processRead(value),
+        onError: error => this.emitError(error, "read")
       });
 
+      this.io = this.#state.input.io;
+
       Object.defineProperties(this, {
         isClosed: {
           get: () => {
@@ -114,6 +166,43 @@ class Button extends Emitter {
           set: (newHoldtime) => {
             this.#state.holdtime = newHoldtime;
           }
+        },
+        holdRepeat: {
+          get: () => {
+            return this.#state.holdRepeat;
+          },
+          set: (newHoldRepeat) => {
+            this.#state.holdRepeat = newHoldRepeat;
+          }
+        },
+        clickWindow: {
+          get: () => {
+            return this.#state.clickWindow;
+          },
+          set: (newClickWindow) => {
+            this.#state.clickWindow = newClickWindow;
+          }
+        },
+        isPolling: {
+          get: () => {
+            return this.#state.input.isPolling;
+          }
+        },
+        pollInterval: {
+          get: () => {
+            return this.#state.input.pollInterval;
+          },
+          set: (newPollInterval) => {
+            this.#state.input.pollInterval = newPollInterval;
+          }
+        },
+        debounce: {
+          get: () => {
+            return this.#state.input.debounce;
+          },
+          set: (newDebounce) => {
+            this.#state.input.debounce = newDebounce;
+          }
         }
       });
 
@@ -129,14 +218,14 @@ class Button extends Emitter {
       }
 
       this.#state.holdtime = options.holdtime || 500;
+      this.#state.holdRepeat = options.holdRepeat || null;
+
+      if (typeof options.clickWindow !== "undefined") {
+        this.#state.clickWindow = options.clickWindow;
+      }
 
       this.#state.last = this.upValue;
 
-      // Create a debounce boundary on event triggers
-      // this avoids button events firing on
-      // press noise and false positives
-      // this.trigger = debounce(send, 7);
-      this.trigger = debounce(this.processRead.bind(this), 7);
       return this;
     })();
 
@@ -144,18 +233,153 @@ class Button extends Emitter {
 
   intialize(options, callback) { }
 
-  processRead() {
-    if (this.isOpen) {
-      this.emit("open");
+  /**
+   * Start watching the button after disable()
+   * @return {Button} instance
+   * @example
+   * import Button from "j5e/button";
+   * const button = await new Button(12);
+   *
+   * button.disable();
+   * // Button events resume after one second
+   * timer.setTimeout(() => button.enable(), 1000);
+   */
+  enable() {
+    this.#state.input.enable();
+    return this;
+  }
+
+  /**
+   * Stop watching the button. Edges are ignored, polling stops and any hold or click timing is cancelled.
+   * @return {Button} instance
+   */
+  disable() {
+    if (this.#state.input.enabled) {
+      this.#state.input.disable();
+
+      // The release that would clear these is ignored while disabled
       timer.clearTimeout(this.#state.interval);
+      timer.clearInterval(this.#state.repeatInterval);
+      timer.clearTimeout(this.#state.clickTimeout);
+      this.#state.interval = null;
+      this.#state.repeatInterval = null;
+      this.#state.clickTimeout = null;
+      this.#state.pressedAt = null;
+      this.#state.clicks = 0;
+    }
+
+    return this;
+  }
+
+  processRead(value) {
+    let isOpen;
+
+    if (typeof value === "undefined") {
+      try {
+        isOpen = this.isOpen;
+      } catch (error) {
+        this.emitError(error, "read");
+        return;
+      }
+    } else {
+      isOpen = value === this.upValue;
+    }
+
+    // Bounces that settle back where they started are not a press or release
+    const state = isOpen ? this.upValue : this.downValue;
+    if (state === this.#state.last) {
+      return;
+    }
+    this.#state.last = state;
+
+    if (isOpen) {
+      this.#release(Date.now());
     } else {
-      this.emit("close");
-      this.#state.interval = timer.setTimeout(() => {
-        this.#state.interval = null;
-        if (this.isClosed) {
-          this.emit("hold");
+      this.#press(Date.now());
+    }
+  }
+
+  /**
+   * Emit "close" and start timing hold
+   * @access private
+   */
+  #press(now) {
+    this.#state.pressedAt = now;
+    timer.clearTimeout(this.#state.clickTimeout);
+    this.#state.clickTimeout = null;
+
+    this.emit("close");
+    this.emit("change", true);
+
+    this.#state.interval = timer.setTimeout(() => {
+      this.#state.interval = null;
+      let isClosed;
+
+      try {
+        isClosed = this.isClosed;
+      } catch (error) {
+        this.emitError(error, "read");
+        return;
+      }
+
+      if (isClosed) {
+        this.emit("hold", Date.now() - this.#state.pressedAt);
+
+        if (this.#state.holdRepeat) {
+          this.#state.repeatInterval = timer.setInterval(() => {
+            this.emit("hold", Date.now() - this.#state.pressedAt);
+          }, this.#state.holdRepeat);
         }
-      }, this.#state.holdtime);
+      }
+    }, this.#state.holdtime);
+  }
+
+  /**
+   * Emit "open" with the press duration, then "longpress" or start counting clicks
+   * @access private
+   */
+  #release(now) {
+    const duration = this.#state.pressedAt === null ? 0 : now - this.#state.pressedAt;
+    this.#state.pressedAt = null;
+
+    timer.clearTimeout(this.#state.interval);
+    timer.clearInterval(this.#state.repeatInterval);
+    this.#state.interval = null;
+    this.#state.repeatInterval = null;
+
+    this.emit("open", duration);
+    this.emit("change", false);
+
+    if (duration >= this.#state.holdtime) {
+      this.#state.clicks = 0;
+      this.emit("longpress", duration);
+      return;
+    }
+
+    this.#state.clicks++;
+
+    if (this.#state.clickWindow) {
+      this.#state.clickTimeout = timer.setTimeout(() => this.#emitClicks(), this.#state.clickWindow);
+    } else {
+      this.#emitClicks();
+    }
+  }
+
+  /**
+   * Emit "click", "dblclick" or "multiclick" with the number of clicks
+   * @access private
+   */
+  #emitClicks() {
+    const clicks = this.#state.clicks;
+    this.#state.clicks = 0;
+    this.#state.clickTimeout = null;
+
+    if (clicks === 1) {
+      this.emit("click", clicks);
+    } else if (clicks === 2) {
+      this.emit("dblclick", clicks);
+    } else if (clicks > 2) {
+      this.emit("multiclick", clicks);
     }
   }
 }
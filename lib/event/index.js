@@ -1,70 +1,469 @@
 /**
  * event module - Houses event related mixins
  * @module j5e/event
+ * @requires module:j5e/fn
  * @ignore
  */
 
+import { timer } from "j5e/fn";
+
 /**
  * Provides an event base class for devices. It is not meant to be used directly.
+ * Subclasses can define a static aliases map of alias to event name (e.g. { press: "close" }). Every method that takes an event name resolves aliases first.
  * @ignore
  */
 export class Emitter {
 
+  #events;
+  #patterns = [];
+  #errorPolicy = "throw";
+
   /**
    * @constructor
+   * @param {object} [options] - Device options
+   * @param {string} [options.errorPolicy="throw"] - What to do with errors when there are no "error" listeners ("log", "throw" or "stop")
    */
-  constructor() {
-    this.events = {};
+  constructor(options = {}) {
+    this.#events = {};
+
+    if (typeof options.errorPolicy !== "undefined") {
+      this.errorPolicy = options.errorPolicy;
+    }
   }
 
   /**
-   * Create an event listener
+   * What to do with errors when there are no "error" listeners. "log" traces the error, "throw" rethrows it and "stop" traces the error and then disables or stops the device.
+   * @type {string}
+   */
+  get errorPolicy() {
+    return this.#errorPolicy;
+  }
+
+  set errorPolicy(newPolicy) {
+    if (!errorPolicies.includes(newPolicy)) {
+      throw new Error(`errorPolicy must be one of ${errorPolicies.join(", ")}`);
+    }
+    this.#errorPolicy = newPolicy;
+  }
+
+  /**
+   * Create an event listener. The event name can end in "*" to listen for every event in a namespace (e.g. "limit:*"), or be "*" to listen for every event. Pattern listeners receive the name of the event as their first argument.
    * @param {string} event - The name of the event to listen for
    * @param {function} listener - A callback to run when the event is fired.
+   * @return {Emitter} instance
+   * @example
+   * sensor.on("limit:*", (event, value) => {
+   *   trace(`${event}: ${value}\n`);
+   * });
    */
   on(event, listener) {
-    if (typeof this.events[event] !== "object") {
-      this.events[event] = [];
-    }
-    this.events[event].push(listener);
+    event = this.#resolve(event);
+    this.#listenersFor(event).push(listener);
+    this.listenersChanged(event);
+    return this;
+  }
+
+  /**
+   * Create an event listener that is called before any existing listeners for that event
+   * @param {string} event - The name of the event to listen for
+   * @param {function} listener - A callback to run when the event is fired.
+   * @return {Emitter} instance
+   */
+  prependListener(event, listener) {
+    event = this.#resolve(event);
+    this.#listenersFor(event).unshift(listener);
+    this.listenersChanged(event);
+    return this;
   }
 
   /** Remove an event listener
    * @param {string} event - The name of the event that we are removing a listener from
-   * @param {function} listener - The callback that we are removing
+   * @param {function} listener - The callback that we are removing. Listeners added with once() can be removed using the original callback.
+   * @return {Emitter} instance
    */
   removeListener(event, listener) {
-    if (typeof this.events[event] === "object") {
-      let idx = this.events[event].indexOf(listener);
+    event = this.#resolve(event);
+    if (typeof this.#events[event] === "object") {
+      const listeners = this.#events[event];
+      let idx = listeners.indexOf(listener);
+      if (idx === -1) {
+        idx = listeners.findIndex(item => item.listener === listener);
+      }
       if (idx > -1) {
-        this.events[event].splice(idx, 1);
+        listeners.splice(idx, 1);
+        if (listeners.length === 0) {
+          this.#clear(event);
+        }
+        this.listenersChanged(event);
       }
     }
+    return this;
   }
 
-  /** Emit an event
+  /** Remove an event listener. Alias for removeListener.
+   * @param {string} event - The name of the event that we are removing a listener from
+   * @param {function} listener - The callback that we are removing
+   * @return {Emitter} instance
+   */
+  off(event, listener) {
+    return this.removeListener(event, listener);
+  }
+
+  /** Remove all listeners for an event, or all listeners for all events
+   * @param {string} [event] - The name of the event to clear. If omitted every listener is removed.
+   * @return {Emitter} instance
+   */
+  removeAllListeners(event) {
+    const names = typeof event === "undefined" ? this.eventNames() : [this.#resolve(event)];
+
+    names.forEach(name => {
+      if (typeof this.#events[name] === "object") {
+        this.#clear(name);
+        this.listenersChanged(name);
+      }
+    });
+    return this;
+  }
+
+  /** Get the names of the events that have listeners
+   * @return {string[]} The event names (including patterns)
+   */
+  eventNames() {
+    return Object.keys(this.#events);
+  }
+
+  /**
+   * Called whenever a listener is added or removed. No operation here... Meant to be overwritten by subclasses
+   * @param {string} event - The name of the event whose listeners changed
+   * @ignore
+   */
+  listenersChanged(event) {
+  }
+
+  /** Get the listeners for an event
+   * @param {string} event - The name of the event
+   * @return {function[]} A copy of the listener array. Listeners added with once() are returned unwrapped.
+   */
+  listeners(event) {
+    event = this.#resolve(event);
+    if (typeof this.#events[event] !== "object") {
+      return [];
+    }
+    return this.#events[event].map(item => item.listener || item);
+  }
+
+  /** Get the number of listeners for an event
+   * @param {string} event - The name of the event
+   * @return {number} The number of listeners
+   */
+  listenerCount(event) {
+    event = this.#resolve(event);
+    if (typeof this.#events[event] !== "object") {
+      return 0;
+    }
+    return this.#events[event].length;
+  }
+
+  /** Emit an event. A listener that throws does not stop the remaining listeners, its exception is passed to emitError().
    * @param {string} event - The name of the event to emit
    */
   emit(event, ...rest) {
-    if (typeof this.events[event] === "object") {
-      let listeners = this.events[event].slice();
+    let uncaught = null;
+    event = this.#resolve(event);
+    const calls = [];
+
+    if (typeof this.#events[event] === "object") {
+      this.#events[event].forEach(listener => calls.push([listener, rest]));
+    }
+
+    this.#patterns.forEach(pattern => {
+      if (pattern !== event && matches(pattern, event)) {
+        this.#events[pattern].forEach(listener => calls.push([listener, [event, ...rest]]));
+      }
+    });
+
+    for (let i = 0, length = calls.length; i < length; i++) {
+      try {
+        calls[i][0].apply(this, calls[i][1]);
+      } catch (error) {
+        try {
+          if (event === "error") {
+            unhandledError(this, decorate(error, event, this));
+          } else {
+            this.emitError(error, event);
+          }
+        } catch (rethrown) {
+          // The "throw" policy waits until every listener has run
+          uncaught = uncaught || rethrown;
+        }
+      }
+    }
+
+    if (uncaught) {
+      throw uncaught;
+    }
+  }
+
+  /** Emit an "error" event. If nothing is listening for "error" the device's errorPolicy is applied. Pattern listeners that match "error", like "*", count as listening.
+   * @param {Error} error - The error
+   * @param {string} [event] - The name of the event or operation that failed
+   */
+  emitError(error, event) {
+    error = decorate(error, event, this);
 
-      for (let i = 0, length = listeners.length; i < length; i++) {
-        listeners[i].apply(this, rest);
+    const isHandled = this.listenerCount("error") > 0 ||
+      this.#patterns.some(pattern => matches(pattern, "error") && this.#events[pattern].length > 0);
+
+    if (isHandled) {
+      this.emit("error", error);
+    } else {
+      unhandledError(this, error);
+    }
+  }
+
+  // Get the event name for an alias (or the event name itself)
+  #resolve(event) {
+    const aliases = this.constructor.aliases;
+    return aliases && typeof aliases[event] === "string" ? aliases[event] : event;
+  }
+
+  // Forget an event and its listener array
+  #clear(event) {
+    delete this.#events[event];
+    if (isPattern(event)) {
+      this.#patterns = this.#patterns.filter(pattern => pattern !== event);
+    }
+  }
+
+  // Get the listener array for an event, creating it if necessary
+  #listenersFor(event) {
+    if (typeof this.#events[event] !== "object") {
+      this.#events[event] = [];
+      if (isPattern(event)) {
+        this.#patterns.push(event);
       }
     }
+    return this.#events[event];
   }
 
   /**
-   * Create an event listener that will only fire one time.
+   * Create an event listener that will only fire one time. If no listener is passed a promise is returned instead (see next())
    * @param {string} event - The name of the event to listen for
-   * @param {function} listener - A callback to run when the event is fired.
+   * @param {function|object} [listener] - A callback to run when the event is fired, or an options object for next()
+   * @return {Emitter|Promise} instance, or a promise when no listener is passed
    */
   once(event, listener) {
-    this.on(event, function g() {
+    if (typeof listener !== "function") {
+      return this.#waitFor(event, listener);
+    }
+    const g = (...args) => {
       this.removeListener(event, g);
-      listener.apply(this, arguments);
+      listener.apply(this, args);
+    };
+    g.listener = listener;
+    return this.on(event, g);
+  }
+
+  /**
+   * Wait for the next occurrence of an event
+   * @param {string} event - The name of the event to wait for
+   * @param {object} [options] - Options
+   * @param {number} [options.timeout] - Reject if the event has not fired after this many milliseconds
+   * @param {AbortSignal} [options.signal] - Reject when this signal is aborted
+   * @return {Promise} Resolves with the first argument passed to the event
+   * @example
+   * const button = await new Button(12);
+   * await button.next("close");
+   * trace("pressed");
+   */
+  next(event, options) {
+    return this.#waitFor(event, options);
+  }
+
+  // Shared by next() and once() so that once() still returns a promise on
+  // classes that define their own next() (e.g. Animation)
+  #waitFor(event, options = {}) {
+    const { timeout, signal } = options;
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+
+      if (signal && signal.aborted) {
+        reject(abortError(event));
+        return;
+      }
+
+      const cleanup = () => {
+        this.removeListener(event, listener);
+        if (timeoutId !== null) {
+          timer.clearTimeout(timeoutId);
+        }
+        if (signal && signal.removeEventListener) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
+
+      const listener = value => {
+        cleanup();
+        resolve(value);
+      };
+
+      const onAbort = () => {
+        cleanup();
+        reject(abortError(event));
+      };
+
+      this.on(event, listener);
+
+      if (typeof timeout === "number") {
+        timeoutId = timer.setTimeout(() => {
+          timeoutId = null;
+          cleanup();
+          reject(new Error(`Timed out after ${timeout}ms waiting for "${event}"`));
+        }, timeout);
+      }
+
+      if (signal && signal.addEventListener) {
+        signal.addEventListener("abort", onAbort);
+      }
     });
   }
 
+  /**
+   * Get an async iterator over an event. Values are buffered until they are read and the listener is removed when the loop exits.
+   * @param {string} event - The name of the event to iterate over
+   * @param {object} [options] - Options
+   * @param {number} [options.bufferSize=Infinity] - The maximum number of unread values to keep. The oldest values are dropped first.
+   * @param {AbortSignal} [options.signal] - End the iteration when this signal is aborted
+   * @return {AsyncIterator} An async iterator of the first argument passed to each event
+   * @example
+   * const sensor = await new Sensor(12);
+   * for await (const value of sensor.events("change")) {
+   *   trace(value);
+   * }
+   */
+  events(event, options = {}) {
+    const { signal, bufferSize = Infinity } = options;
+    const buffer = [];
+    const pending = [];
+    let done = false;
+
+    const listener = value => {
+      if (pending.length) {
+        pending.shift().resolve({ value, done: false });
+      } else {
+        buffer.push(value);
+        if (buffer.length > bufferSize) {
+          buffer.shift();
+        }
+      }
+    };
+
+    const close = error => {
+      if (done) {
+        return;
+      }
+      done = true;
+      buffer.length = 0;
+      this.removeListener(event, listener);
+      if (signal && signal.removeEventListener) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      while (pending.length) {
+        const { resolve, reject } = pending.shift();
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ value: undefined, done: true });
+        }
+      }
+    };
+
+    const onAbort = () => {
+      close(abortError(event));
+    };
+
+    const iterator = {
+      next() {
+        if (buffer.length) {
+          return Promise.resolve({ value: buffer.shift(), done: false });
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+          pending.push({ resolve, reject });
+        });
+      },
+      return() {
+        close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return iterator;
+      }
+    };
+
+    if (signal && signal.aborted) {
+      done = true;
+    } else {
+      this.on(event, listener);
+      if (signal && signal.addEventListener) {
+        signal.addEventListener("abort", onAbort);
+      }
+    }
+
+    return iterator;
+  }
+
 };
+
+function abortError(event) {
+  const error = new Error(`Aborted while waiting for "${event}"`);
+  error.name = "AbortError";
+  return error;
+}
+
+const errorPolicies = ["log", "throw", "stop"];
+
+function isPattern(event) {
+  return typeof event === "string" && event.endsWith("*");
+}
+
+// "*" matches every event, "limit:*" matches "limit:upper" but not "limit"
+function matches(pattern, event) {
+  return pattern === "*" || String(event).startsWith(pattern.slice(0, -1));
+}
+
+// Make sure we are passing an Error with the event name and device attached
+function decorate(error, event, device) {
+  if (!(error instanceof Error)) {
+    error = new Error(String(error));
+  }
+  if (typeof error.event === "undefined") {
+    error.event = event;
+  }
+  error.device = device;
+  return error;
+}
+
+function unhandledError(device, error) {
+  if (device.errorPolicy === "throw") {
+    throw error;
+  }
+
+  const message = `Unhandled error${error.event ? ` in "${error.event}"` : ""}: ${error.message}`;
+  if (typeof trace === "function") {
+    trace(`${message}\n`);
+  } else if (typeof console !== "undefined") {
+    console.error(message);
+  }
+
+  if (device.errorPolicy === "stop") {
+    if (typeof device.disable === "function") {
+      device.disable();
+    } else if (typeof device.stop === "function") {
+      device.stop();
+    }
+  }
+}
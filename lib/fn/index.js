@@ -124,6 +124,37 @@ export function constrain(value, low, high) {
   return value;
 };
 
+/** Convert a raw ADC reading to a fraction of full scale. The result is kept half a count away from 0 and 1 so that a full scale or zero reading does not produce an infinite resistance or current in divider math.
+ * @param {number} raw - A raw reading
+ * @param {number} resolution - The maximum possible reading
+ * @return {number} The reading as a fraction of full scale
+ * @ignore
+ */
+export function fullScaleRatio(raw, resolution) {
+  return constrain(raw / resolution, 0.5 / resolution, 1 - 0.5 / resolution);
+};
+
+/** Piecewise-linear interpolation through a list of points. Values outside the points are clamped to the first or last point.
+ * @param {number} value - An input value
+ * @param {number[][]} points - An array of [input, output] pairs sorted by input
+ * @return {number} The interpolated value
+ * @example
+ * interpolate(15, [[0, 0], [10, 100], [20, 300]]); // -> 200
+ */
+export function interpolate(value, points) {
+  if (value <= points[0][0]) {
+    return points[0][1];
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    if (value <= points[i][0]) {
+      return fmap(value, points[i - 1][0], points[i][0], points[i - 1][1], points[i][1]);
+    }
+  }
+
+  return points[points.length - 1][1];
+};
+
 /** Asynchronously load a provider. This allows users to simply pass a path or skip specifying a provider altogether (uses builtins).
  * @param {object} ioOpts - An IO options object
  * @param {io} [ioOpts.io] - The path to the IO class
@@ -307,6 +338,304 @@ export function debounce(func, wait, immediate) {
   };
 };
 
+/** Debounce a digital input. Returns a function to call on every edge. The input is read and the settled value passed to onChange according to the strategy. The returned function's cancel() method stops any pending debounce timer.
+ * @function debounceInput
+ * @param {(number|string|object|boolean)} strategy - A time in ms, a strategy name ("time", "integrator", "lockout" or "none"), or an object with a type property and that strategy's options. false or 0 is "none".
+ * @param {number} [strategy.time=7] - ("time") How long the input must stop changing before it is read. ("lockout") How long to ignore edges after the first one.
+ * @param {number} [strategy.samples=5] - ("integrator") How many consecutive agreeing reads it takes to settle
+ * @param {number} [strategy.interval=1] - ("integrator") The time between reads in ms
+ * @param {object} handlers - Callbacks
+ * @param {function} handlers.read - Returns the current input value (0 or 1)
+ * @param {function} handlers.onChange - Called with the debounced value
+ * @param {function} [handlers.onError] - Called with any error thrown by read
+ * @returns {function}
+ * @example
+ * <caption>Fire on the first edge and ignore bounces for 50ms</caption>
+ * import { debounceInput } from "j5e/fn";
+ *
+ * const trigger = debounceInput({ type: "lockout", time: 50 }, {
+ *   read: () => io.read(),
+ *   onChange: value => trace(`${value}\n`)
+ * });
+ *
+ * // Stop waiting on the input
+ * trigger.cancel();
+ */
+export function debounceInput(strategy, handlers) {
+  const { type, time, samples, interval } = normalizeDebounce(strategy);
+  const { read, onChange, onError } = handlers;
+
+  // Read the input, passing errors to onError instead of throwing from a timer
+  const safeRead = () => {
+    try {
+      return read();
+    } catch (error) {
+      if (onError) {
+        onError(error);
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const settle = () => {
+    const value = safeRead();
+    if (value !== null) {
+      onChange(value);
+    }
+  };
+
+  let trigger = settle;
+  let cancel = () => {};
+
+  if (type === "time") {
+    let timeout = null;
+    trigger = () => {
+      timer.clearTimeout(timeout);
+      timeout = timer.setTimeout(() => {
+        timeout = null;
+        settle();
+      }, time);
+    };
+    cancel = () => {
+      timer.clearTimeout(timeout);
+      timeout = null;
+    };
+  }
+
+  if (type === "lockout") {
+    let timeout = null;
+    trigger = () => {
+      if (timeout !== null) {
+        return;
+      }
+      settle();
+      // Catch a change that happened while edges were ignored
+      timeout = timer.setTimeout(() => {
+        timeout = null;
+        settle();
+      }, time);
+    };
+    cancel = () => {
+      timer.clearTimeout(timeout);
+      timeout = null;
+    };
+  }
+
+  if (type === "integrator") {
+    let intervalId = null;
+    let integrator = null;
+    trigger = () => {
+      if (intervalId !== null) {
+        return;
+      }
+      intervalId = timer.setInterval(() => {
+        const value = safeRead();
+        if (value === null) {
+          return;
+        }
+        if (integrator === null) {
+          integrator = value ? 0 : samples;
+        }
+        integrator = constrain(integrator + (value ? 1 : -1), 0, samples);
+        if (integrator === 0 || integrator === samples) {
+          timer.clearInterval(intervalId);
+          intervalId = null;
+          onChange(integrator ? 1 : 0);
+        }
+      }, interval);
+    };
+    cancel = () => {
+      timer.clearInterval(intervalId);
+      intervalId = null;
+    };
+  }
+
+  trigger.cancel = cancel;
+  return trigger;
+};
+
+/** Normalize a debounce strategy
+ * @param {(number|string|object|boolean)} strategy - A time in ms, a strategy name or a strategy object
+ * @returns {object} { type, time, samples, interval }
+ * @ignore
+ */
+export function normalizeDebounce(strategy) {
+  const defaults = { type: "none", time: 7, samples: 5, interval: 1 };
+
+  if (!strategy) {
+    return defaults;
+  }
+
+  if (typeof strategy === "number") {
+    return Object.assign(defaults, { type: "time", time: strategy });
+  }
+
+  if (typeof strategy === "string") {
+    strategy = { type: strategy };
+  }
+
+  if (!["time", "integrator", "lockout", "none"].includes(strategy.type)) {
+    throw new Error(`Unknown debounce strategy "${strategy.type}". Use "time", "integrator", "lockout" or "none"`);
+  }
+
+  return Object.assign(defaults, strategy);
+};
+
+/** Open a digital input that calls onReadable when the input changes. The input is opened with edge callbacks unless polling is asked for. Providers that cannot signal edges throw on the edge option, and those are polled instead.
+ * @param {function} Provider - A TC-53 digital IO class
+ * @param {object} options - pin, mode and poll (true to poll even when edges are supported)
+ * @param {function} onReadable - Called when the input changes
+ * @returns {object} { io, isPolling }
+ * @ignore
+ */
+export function openDigitalInput(Provider, options, onReadable) {
+  const { pin, mode } = options;
+
+  if (!options.poll) {
+    try {
+      return {
+        io: new Provider({ pin, mode, edge: Provider.Rising | Provider.Falling, onReadable }),
+        isPolling: false
+      };
+    } catch (error) {
+      // No edge support, fall through and poll
+    }
+  }
+
+  return {
+    io: new Provider({ pin, mode }),
+    isPolling: true
+  };
+};
+
+/** Read a digital input on an interval and call onChange when the value changes. Read errors are passed on by calling onChange so the device's own read reports them.
+ * @param {object} io - A TC-53 digital IO instance
+ * @param {number} rate - The time between reads in ms
+ * @param {function} onChange - Called when the input changes
+ * @returns {Interval} Pass to timer.clearInterval to stop polling
+ * @ignore
+ */
+export function pollInput(io, rate, onChange) {
+  let last = null;
+
+  try {
+    last = io.read();
+  } catch (error) {
+    // Leave last as null so the first good read counts as a change
+  }
+
+  return timer.setInterval(() => {
+    let value;
+
+    try {
+      value = io.read();
+    } catch (error) {
+      onChange();
+      return;
+    }
+
+    if (value !== last) {
+      last = value;
+      onChange();
+    }
+  }, rate);
+};
+
+/** Open a digital input and report its debounced value. This is the input wiring shared by Button and Switch: edge callbacks or polling, debouncing, and enable/disable.
+ * @param {function} Provider - A TC-53 digital IO class
+ * @param {object} options - IO and input options
+ * @param {number} options.pin - The pin
+ * @param {number} options.mode - The provider input mode
+ * @param {boolean} [options.poll=false] - Poll even when edges are supported
+ * @param {number} [options.pollInterval=10] - The time between reads in ms when polling
+ * @param {(number|string|object|boolean)} [options.debounce] - A debounce strategy (See debounceInput)
+ * @param {object} handlers - Callbacks
+ * @param {function} handlers.onChange - Called with the debounced value
+ * @param {function} handlers.onError - Called with any error thrown reading the input
+ * @returns {object} { io, isPolling, pollInterval, debounce, enabled, enable(), disable() }
+ * @ignore
+ */
+export function createDigitalInput(Provider, options, handlers) {
+  let trigger = null;
+  let strategy = null;
+  let poller = null;
+  let enabled = true;
+  let rate = typeof options.pollInterval === "number" ? options.pollInterval : 10;
+
+  const onReadable = () => {
+    if (enabled) {
+      trigger();
+    }
+  };
+
+  const { io, isPolling } = openDigitalInput(Provider, options, onReadable);
+
+  const startPolling = () => {
+    if (isPolling && enabled && !poller) {
+      poller = pollInput(io, rate, onReadable);
+    }
+  };
+
+  const stopPolling = () => {
+    timer.clearInterval(poller);
+    poller = null;
+  };
+
+  const input = {
+    io,
+    isPolling,
+
+    get enabled() {
+      return enabled;
+    },
+
+    get pollInterval() {
+      return rate;
+    },
+
+    set pollInterval(newRate) {
+      rate = newRate;
+      if (poller) {
+        stopPolling();
+        startPolling();
+      }
+    },
+
+    get debounce() {
+      return Object.assign({}, strategy);
+    },
+
+    set debounce(newStrategy) {
+      strategy = normalizeDebounce(newStrategy);
+      if (trigger) {
+        trigger.cancel();
+      }
+      trigger = debounceInput(strategy, {
+        read: () => io.read(),
+        onChange: handlers.onChange,
+        onError: handlers.onError
+      });
+    },
+
+    enable() {
+      enabled = true;
+      startPolling();
+    },
+
+    disable() {
+      enabled = false;
+      stopPolling();
+      trigger.cancel();
+    }
+  };
+
+  input.debounce = options.debounce;
+  startPolling();
+
+  return input;
+};
+
 
 /** Format a number such that it has a given number of digits after the
  * decimal point
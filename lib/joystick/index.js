@@ -0,0 +1,329 @@
+/**
+ * Class Joystick
+ * @module j5e/joystick
+ * @requires module:j5e/event
+ * @requires module:j5e/sensor
+ * @requires module:j5e/button
+ * @requires module:j5e/fn
+ */
+
+import { Emitter } from "j5e/event";
+import Sensor from "j5e/sensor";
+import Button from "j5e/button";
+import { constrain, toFixed, normalizeIO, normalizeMulti } from "j5e/fn";
+
+const axes = ["x", "y"];
+
+// Positions come from raw readings, so average a few reads per interval
+// to steady the stick without adding lag
+const axisDefaults = {
+  interval: 20,
+  oversample: 4
+};
+
+/**
+ * Class representing a two axis analog joystick
+ * @classdesc The Joystick class combines two analog axes (each a Sensor) and an optional button
+ * @async
+ * @extends module:j5e/event.Emitter
+ * @fires data
+ * @fires change
+ * @fires press
+ * @fires release
+ * @fires hold
+ */
+class Joystick extends Emitter {
+
+  #state = {
+    raw: { x: null, y: null },
+    x: 0,
+    y: 0,
+    last: { x: null, y: null },
+    center: { x: null, y: null },
+    deadZone: { x: 0.05, y: 0.05 },
+    invert: { x: false, y: false },
+    threshold: 0.01,
+    polar: false
+  };
+
+  /**
+   * Instantiate a joystick
+   * @param {(object|Array)} options - An array with the x and y pins, or an options object with a pins array (See {@tutorial C-INSTANTIATING}). Other options are passed on to each axis Sensor. The position is calculated from each axis' raw reading, so range, scale, calibration and filter options do not change it.
+   * @param {number} [options.interval=20] - Interval between readings in millseconds
+   * @param {number} [options.oversample=4] - The number of reads averaged into each axis' raw reading
+   * @param {(number|string|object)} [options.button] - The button's pin number, pin identifier or options object
+   * @param {(object|number[])} [options.center] - The raw center reading of each axis. Defaults to the middle of the ADC range. See calibrate().
+   * @param {(number|object|number[])} [options.deadZone=0.05] - The fraction of each axis' travel around the center that reads as 0
+   * @param {(boolean|object|boolean[])} [options.invert=false] - Reverse the direction of one or both axes
+   * @param {number} [options.threshold=0.01] - The minimum change on either axis required to emit a "change" event
+   * @param {boolean} [options.polar=false] - Add angle and magnitude to "data" and "change" events
+   * @property {number} x - The x position from -1 to 1
+   * @property {number} y - The y position from -1 to 1
+   * @property {number} angle - The angle of the stick in degrees, counterclockwise from the positive x axis
+   * @property {number} magnitude - The distance of the stick from the center from 0 to 1
+   * @property {object} center - Get/Set the raw center reading of each axis ({ x, y })
+   * @property {object} deadZone - Get/Set the dead zone of each axis ({ x, y })
+   * @property {object} invert - Get/Set the inversion of each axis ({ x, y })
+   * @property {number} threshold - Get/Set the change threshold
+   * @property {object} axes - The x and y Sensor instances
+   * @property {Button} button - The Button instance (if there is one)
+   * @property {boolean} isPressed - True if the button is being pressed
+   * @example
+   * <caption>Use a joystick with a button</caption>
+   * import Joystick from "j5e/joystick";
+   *
+   * const joystick = await new Joystick({
+   *   pins: [14, 15],
+   *   button: 12,
+   *   deadZone: 0.1
+   * });
+   *
+   * joystick.calibrate();
+   *
+   * joystick.on("change", ({ x, y }) => {
+   *   trace(`x: ${x} y: ${y}\n`);
+   * });
+   *
+   * joystick.on("press", () => {
+   *   trace("fire!\n");
+   * });
+   */
+  constructor(options) {
+    return (async() => {
+      const { button, center, deadZone, invert, threshold, polar, ...axisOptions } = Array.isArray(options) ? { pins: options } : options;
+
+      super(axisOptions);
+
+      const pins = normalizeMulti(Object.assign({}, axisDefaults, axisOptions));
+
+      if (pins.length !== 2) {
+        throw new Error("Joystick expects two pins");
+      }
+
+      this.axes = {};
+
+      for (let i = 0; i < axes.length; i++) {
+        const axis = axes[i];
+        // Polling keeps the axes on their shared interval
+        const sensor = await new Sensor(Object.assign({}, pins[i], { eventFormat: "number", readable: false }));
+
+        sensor.on("raw", raw => {
+          this.#state.raw[axis] = raw;
+          this.#update();
+        });
+        sensor.on("error", error => {
+          this.emitError(error, "read");
+        });
+
+        this.axes[axis] = sensor;
+        this.#state.center[axis] = Math.round(sensor.resolution / 2);
+      }
+
+      if (typeof button !== "undefined") {
+        this.button = await new Button(normalizeIO(button));
+        this.button.on("close", () => this.emit("press"));
+        this.button.on("open", () => this.emit("release"));
+        this.button.on("hold", () => this.emit("hold"));
+        this.button.on("error", error => {
+          this.emitError(error, "button");
+        });
+      }
+
+      Object.defineProperties(this, {
+        x: {
+          get() {
+            return this.#state.x;
+          }
+        },
+        y: {
+          get() {
+            return this.#state.y;
+          }
+        },
+        angle: {
+          get() {
+            return angle(this.#state.x, this.#state.y);
+          }
+        },
+        magnitude: {
+          get() {
+            return magnitude(this.#state.x, this.#state.y);
+          }
+        },
+        center: {
+          get() {
+            return Object.assign({}, this.#state.center);
+          },
+          set(newCenter) {
+            this.#state.center = perAxis(newCenter, this.#state.center);
+          }
+        },
+        deadZone: {
+          get() {
+            return Object.assign({}, this.#state.deadZone);
+          },
+          set(newDeadZone) {
+            this.#state.deadZone = perAxis(newDeadZone, this.#state.deadZone);
+          }
+        },
+        invert: {
+          get() {
+            return Object.assign({}, this.#state.invert);
+          },
+          set(newInvert) {
+            this.#state.invert = perAxis(newInvert, this.#state.invert);
+          }
+        },
+        threshold: {
+          get() {
+            return this.#state.threshold;
+          },
+          set(newThreshold) {
+            this.#state.threshold = newThreshold;
+          }
+        },
+        isPressed: {
+          get() {
+            return this.button ? this.button.isClosed : false;
+          }
+        }
+      });
+
+      if (typeof center !== "undefined") {
+        this.center = center;
+      }
+      if (typeof deadZone !== "undefined") {
+        this.deadZone = deadZone;
+      }
+      if (typeof invert !== "undefined") {
+        this.invert = invert;
+      }
+      if (typeof threshold !== "undefined") {
+        this.threshold = threshold;
+      }
+      this.#state.polar = Boolean(polar);
+
+      return this;
+    })();
+  }
+
+  /**
+   * Take the current position of both axes as the center. Leave the stick alone while this runs.
+   * @param {number} [samples=10] - The number of reads to take on each axis
+   * @return {object} The new center ({ x, y })
+   * @example
+   * import Joystick from "j5e/joystick";
+   * const joystick = await new Joystick([14, 15]);
+   *
+   * const center = joystick.calibrate();
+   * trace(JSON.stringify(center));
+   */
+  calibrate(samples = 10) {
+    axes.forEach(axis => {
+      this.#state.center[axis] = this.axes[axis].sample(samples);
+    });
+
+    return this.center;
+  }
+
+  /**
+   * Start reading both axes and the button
+   * @return {Joystick} instance
+   */
+  enable() {
+    axes.forEach(axis => this.axes[axis].enable());
+    if (this.button) {
+      this.button.enable();
+    }
+    return this;
+  }
+
+  /**
+   * Stop reading both axes and the button
+   * @return {Joystick} instance
+   */
+  disable() {
+    axes.forEach(axis => this.axes[axis].disable());
+    if (this.button) {
+      this.button.disable();
+    }
+    return this;
+  }
+
+  /**
+   * Normalize the axis readings and emit data and change events
+   * @access private
+   */
+  #update() {
+    axes.forEach(axis => {
+      this.#state[axis] = this.#normalize(axis);
+    });
+
+    const { x, y, last, threshold } = this.#state;
+    const position = { x, y };
+
+    if (this.#state.polar) {
+      position.angle = angle(x, y);
+      position.magnitude = magnitude(x, y);
+    }
+
+    this.emit("data", position);
+
+    if (last.x === null || Math.abs(x - last.x) >= threshold || Math.abs(y - last.y) >= threshold) {
+      this.#state.last = { x, y };
+      this.emit("change", position);
+    }
+  }
+
+  /**
+   * Map a raw axis reading to -1..1 around the center, then apply the dead zone and inversion
+   * @access private
+   */
+  #normalize(axis) {
+    const raw = this.#state.raw[axis];
+
+    if (raw === null) {
+      return 0;
+    }
+
+    const center = this.#state.center[axis];
+    const deadZone = this.#state.deadZone[axis];
+    const travel = raw >= center ? this.axes[axis].resolution - center : center;
+    let value = travel ? constrain((raw - center) / travel, -1, 1) : 0;
+
+    if (Math.abs(value) <= deadZone) {
+      value = 0;
+    } else {
+      value = Math.sign(value) * (Math.abs(value) - deadZone) / (1 - deadZone);
+    }
+
+    if (this.#state.invert[axis]) {
+      value = -value;
+    }
+
+    return toFixed(value, 2);
+  }
+
+}
+
+export default Joystick;
+
+// Accept a single value for both axes, an [x, y] array or an { x, y } object
+function perAxis(value, current) {
+  if (Array.isArray(value)) {
+    return { x: value[0], y: value[1] };
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.assign({}, current, value);
+  }
+  return { x: value, y: value };
+}
+
+function angle(x, y) {
+  const degrees = Math.atan2(y, x) * 180 / Math.PI;
+  return toFixed(degrees < 0 ? degrees + 360 : degrees, 1);
+}
+
+function magnitude(x, y) {
+  return toFixed(Math.min(1, Math.hypot(x, y)), 2);
+}
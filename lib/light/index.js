@@ -6,7 +6,7 @@
  */
 
 import Sensor from "j5e/sensor";
-import { constrain, fmap, toFixed, normalizeParams } from "j5e/fn";
+import { constrain, fmap, fullScaleRatio, toFixed, normalizeParams } from "j5e/fn";
 
 /**
  * Class representing a light sensor
@@ -16,6 +16,8 @@ import { constrain, fmap, toFixed, normalizeParams } from "j5e/fn";
  * @extends module:j5e/sensor~Sensor
  * @fires data
  * @fires change
+ * @fires dark
+ * @fires bright
  */
 class Light extends Sensor {
 
@@ -25,7 +27,32 @@ class Light extends Sensor {
 
   /**
    * Instantiate a light sensor
-   * @property {number} level - Get the light level scaled to [0, 1] to two decimal places
+   * @param {object} options - A pin number, pin identifier or a complete IO options object (See {@tutorial C-INSTANTIATING}
+   * @param {(string|object|function)} [options.toLux] - Converts the filtered value to lux. Either "ldr", "phototransistor", a model object or a function that is passed the filtered value in raw units (range and scale are undone) and returns lux.
+   * @param {string} [options.toLux.model] - "ldr" for a photoresistor in a voltage divider or "phototransistor" for a phototransistor with a load resistor
+   * @param {number} [options.toLux.resistor=10000] - The fixed resistor in ohms
+   * @param {number} [options.toLux.gamma=0.7] - (ldr) The slope of the photoresistor's log(resistance) to log(lux) curve
+   * @param {number} [options.toLux.r10=10000] - (ldr) The photoresistor's resistance in ohms at 10 lux
+   * @param {string} [options.toLux.position="top"] - (ldr) "top" when the photoresistor is between the supply and the pin (brighter is higher), "bottom" when it is between the pin and ground
+   * @param {number} [options.toLux.vcc=3.3] - (phototransistor) The voltage of a full scale reading
+   * @param {number} [options.toLux.sensitivity=0.5] - (phototransistor) Microamps of collector current per lux
+   * @param {number} [options.toLux.darkCurrent=0] - (phototransistor) Microamps of collector current in the dark
+   * @param {(boolean|number|object)} [options.autoRange=false] - Learn the darkest and brightest readings over a rolling window and use them to calculate level. Pass true, the window length in ms or { window, buckets, minSpan }.
+   * @param {number} [options.autoRange.window=86400000] - How long to remember readings in ms
+   * @param {number} [options.autoRange.buckets=24] - The window is stored as this many min/max buckets
+   * @param {number} [options.autoRange.minSpan=resolution/10] - The learned range is not used until it is at least this wide
+   * @param {number} [options.darkThreshold=null] - Emit "dark" when the level of the filtered value falls to this value
+   * @param {number} [options.darkHysteresis=0.05] - How far above darkThreshold the level must rise before "bright" is emitted
+   * @param {number} [options.darkDuration=0] - How long in ms the level must stay dark or bright before the event is emitted
+   * @property {number} level - Get the light level scaled to [0, 1] to two decimal places. Uses the learned range when autoRange is on.
+   * @property {(object|boolean)} autoRange - Get/Set the auto-ranging options
+   * @property {number[]} learnedRange - The [min, max] raw readings in the auto-range window. null until the range is at least minSpan wide.
+   * @property {number} darkThreshold - Get/Set the level at which it is dark
+   * @property {number} darkHysteresis - Get/Set the dark/bright hysteresis band
+   * @property {number} darkDuration - Get/Set the time in ms a dark or bright level must last
+   * @property {boolean} isDark - true after "dark", false after "bright" and null before either
+   * @property {number} lux - Get the illuminance of the filtered value in lux to two decimal places. null when there is no toLux model, no filtered value yet or a calibration is set. Reading objects include lux when eventFormat is "object". With the default "number" eventFormat read this property in a "data" or "change" listener.
+   * @property {(object|function)} toLux - Get/Set the lux conversion model
    * @example
    * <caption>Use a photoresistor</caption>
    * import Light from "j5e/light";
@@ -36,27 +63,145 @@ class Light extends Sensor {
    *   trace(light.level);
    * })
    *
+   * @example
+   * <caption>Turn on a porch light at dusk</caption>
+   * import Light from "j5e/light";
+   * import Relay from "j5e/relay";
+   *
+   * const light = await new Light({
+   *   pin: 12,
+   *   autoRange: true,
+   *   darkThreshold: 0.2,
+   *   darkHysteresis: 0.1,
+   *   darkDuration: 60000
+   * });
+   * const porch = await new Relay(14);
+   *
+   * light.on("dark", () => porch.close());
+   * light.on("bright", () => porch.open());
+   *
+   * @example
+   * <caption>Read lux from a photoresistor wired to the supply with a 10kΩ resistor to ground</caption>
+   * import Light from "j5e/light";
+   *
+   * const light = await new Light({
+   *   pin: 12,
+   *   toLux: { model: "ldr", resistor: 10000, r10: 15000, gamma: 0.8 },
+   *   eventFormat: "object"
+   * });
+   *
+   * light.on("change", reading => {
+   *   trace(`${reading.lux} lux\n`);
+   * })
+   *
    */
   constructor(options) {
     return (async() => {
       options = normalizeParams(options);
       const sensor = await super(options);
 
+      const state = {
+        toLux: null,
+        autoRange: null,
+        buckets: [],
+        darkThreshold: typeof options.darkThreshold === "number" ? options.darkThreshold : null,
+        darkHysteresis: typeof options.darkHysteresis === "number" ? options.darkHysteresis : 0.05,
+        darkDuration: options.darkDuration || 0,
+        isDark: null,
+        pending: null,
+        pendingSince: null
+      };
+      states.set(sensor, state);
+
       Object.defineProperties(sensor, {
         level: {
           get() {
-            let mapped, constrained;
+            return toLevel(this, this.raw);
+          }
+        },
+        autoRange: {
+          get() {
+            return state.autoRange ? Object.assign({}, state.autoRange) : false;
+          },
+          set(newAutoRange) {
+            state.autoRange = createAutoRange(newAutoRange, this.resolution);
+            state.buckets = [];
+          }
+        },
+        learnedRange: {
+          get() {
+            if (!state.autoRange || state.buckets.length === 0) {
+              return null;
+            }
+
+            const low = Math.min(...state.buckets.map(bucket => bucket.min));
+            const high = Math.max(...state.buckets.map(bucket => bucket.max));
+
+            return high - low >= state.autoRange.minSpan ? [low, high] : null;
+          }
+        },
+        darkThreshold: {
+          get() {
+            return state.darkThreshold;
+          },
+          set(newThreshold) {
+            state.darkThreshold = newThreshold;
+          }
+        },
+        darkHysteresis: {
+          get() {
+            return state.darkHysteresis;
+          },
+          set(newHysteresis) {
+            state.darkHysteresis = newHysteresis;
+          }
+        },
+        darkDuration: {
+          get() {
+            return state.darkDuration;
+          },
+          set(newDuration) {
+            state.darkDuration = newDuration;
+          }
+        },
+        isDark: {
+          get() {
+            return state.isDark;
+          }
+        },
+        toLux: {
+          get() {
+            return state.toLux;
+          },
+          set(newToLux) {
+            state.toLux = createLuxModel(newToLux);
+          }
+        },
+        lux: {
+          get() {
+            if (!state.toLux || this.filtered === null || this.calibration) {
+              return null;
+            }
 
-            mapped = fmap(this.raw, this.scale()[0], this.scale()[1], 0, 1);
-            constrained = toFixed(constrain(mapped, 0, 1), 2);
-            return constrained;
+            // Undo range and scale so the models see a raw reading
+            const [low, high] = this.scale();
+            const raw = fmap(this.filtered, low, high, this.range[0], this.range[1]);
+            const toLux = state.toLux;
+            const lux = typeof toLux === "function" ?
+              toLux(raw) :
+              luxModels[toLux.model](fullScaleRatio(raw, this.resolution), toLux);
 
+            return toFixed(lux, 2);
           }
         }
       });
 
       if (options.toLux) {
-        this.toLux = options.toLux;
+        sensor.toLux = options.toLux;
+      }
+
+      if (options.autoRange) {
+        sensor.autoRange = options.autoRange;
       }
 
       return sensor;
@@ -64,6 +209,257 @@ class Light extends Sensor {
 
   }
 
+  /**
+   * Learns the light range from each raw reading
+   * @ignore
+   */
+  eventProcessing() {
+    super.eventProcessing();
+
+    const state = states.get(this);
+
+    if (!state || this.raw === null) {
+      return;
+    }
+
+    if (state.autoRange) {
+      recordRange(state, this.raw, Date.now());
+    }
+  }
+
+  /**
+   * Checks for dark and bright using the level of each filtered value
+   * @ignore
+   */
+  processReading(value) {
+    const state = states.get(this);
+
+    if (state && state.darkThreshold !== null) {
+      processDarkness(this, state, toLevel(this, value), Date.now());
+    }
+  }
+
+  /**
+   * Forget the learned range and start learning again
+   * @return {Light} instance
+   * @example
+   * import Light from "j5e/light";
+   * const light = await new Light({ pin: 12, autoRange: true });
+   *
+   * // The sensor was moved to a new room
+   * light.resetRange();
+   */
+  resetRange() {
+    states.get(this).buckets = [];
+    return this;
+  }
+
+  /**
+   * Adds lux to reading objects
+   * @ignore
+   */
+  createReading(value) {
+    const reading = super.createReading(value);
+    reading.lux = this.lux;
+    return reading;
+  }
+
+  /**
+   * Fit the toLux model from readings taken at two known light levels. Each call to capture() pairs the current raw reading with a lux value from a reference meter. Call apply() to update toLux and save the result of toJSON() (or JSON.stringify()) to pass as options.toLux later.
+   * @return {object} A calibration session with capture(lux, [samples]), apply() and toJSON() methods and a points array
+   * @example
+   * import Light from "j5e/light";
+   * const light = await new Light({ pin: 12, toLux: "ldr" });
+   *
+   * const calibration = light.calibrateLux();
+   *
+   * // Cover the sensor and the reference meter
+   * calibration.capture(5);
+   *
+   * // Point both at a lamp
+   * calibration.capture(400);
+   *
+   * calibration.apply();
+   * trace(JSON.stringify(calibration));
+   */
+  calibrateLux() {
+    // Sensor's session captures the [raw, lux] points
+    const { points, capture } = this.calibrate();
+    const session = {
+      points,
+      capture,
+      apply: () => {
+        this.toLux = session.toJSON();
+        return this;
+      },
+      toJSON: () => {
+        return fitLuxModel(this.toLux, points, this.resolution);
+      }
+    };
+
+    return session;
+  }
+
 }
 
 export default Light;
+
+const states = new WeakMap();
+
+// Map a reading to [0, 1] using the learned range or the scale
+function toLevel(light, value) {
+  const [low, high] = light.learnedRange || light.scale();
+  return toFixed(constrain(fmap(value, low, high, 0, 1), 0, 1), 2);
+}
+
+// Emit "dark" or "bright" once the level has stayed past the threshold for darkDuration
+function processDarkness(light, state, level, now) {
+  let candidate = null;
+
+  if (level <= state.darkThreshold) {
+    candidate = true;
+  } else if (level >= state.darkThreshold + state.darkHysteresis) {
+    candidate = false;
+  }
+
+  if (candidate === null || candidate === state.isDark) {
+    state.pending = null;
+    return;
+  }
+
+  if (state.pending !== candidate) {
+    state.pending = candidate;
+    state.pendingSince = now;
+  }
+
+  if (now - state.pendingSince >= state.darkDuration) {
+    state.isDark = candidate;
+    state.pending = null;
+    light.emit(candidate ? "dark" : "bright", level);
+  }
+}
+
+// Accepts true, a window in ms or an options object and fills in the defaults
+function createAutoRange(autoRange, resolution) {
+  if (!autoRange) {
+    return null;
+  }
+
+  if (autoRange === true) {
+    autoRange = {};
+  } else if (typeof autoRange === "number") {
+    autoRange = { window: autoRange };
+  }
+
+  return Object.assign({
+    window: 86400000,
+    buckets: 24,
+    minSpan: Math.round(resolution / 10)
+  }, autoRange);
+}
+
+// The window is split into buckets that each keep a min and a max so we
+// never have to store every reading
+function recordRange(state, raw, now) {
+  const { window, buckets } = state.autoRange;
+  const current = state.buckets[state.buckets.length - 1];
+
+  if (!current || now - current.start >= window / buckets) {
+    state.buckets.push({ start: now, min: raw, max: raw });
+    while (state.buckets[0].start <= now - window) {
+      state.buckets.shift();
+    }
+  } else {
+    current.min = Math.min(current.min, raw);
+    current.max = Math.max(current.max, raw);
+  }
+}
+
+const luxDefaults = {
+  ldr: {
+    resistor: 10000,
+    gamma: 0.7,
+    r10: 10000,
+    position: "top"
+  },
+  phototransistor: {
+    resistor: 10000,
+    vcc: 3.3,
+    sensitivity: 0.5,
+    darkCurrent: 0
+  }
+};
+
+// Convert a reading (as a fraction of full scale) to lux
+const luxModels = {
+
+  // An LDR's resistance follows R = r10 * (lux / 10) ^ -gamma
+  ldr(ratio, model) {
+    return 10 * Math.pow(model.r10 / ldrResistance(ratio, model), 1 / model.gamma);
+  },
+
+  // The voltage across the load resistor is proportional to collector current
+  phototransistor(ratio, model) {
+    return Math.max(0, (microamps(ratio, model) - model.darkCurrent) / model.sensitivity);
+  }
+
+};
+
+function ldrResistance(ratio, model) {
+  return model.position === "bottom" ?
+    model.resistor * ratio / (1 - ratio) :
+    model.resistor * (1 - ratio) / ratio;
+}
+
+function microamps(ratio, model) {
+  return ratio * model.vcc / model.resistor * 1e6;
+}
+
+// Accepts a function, a model name or a model object and fills in the defaults
+function createLuxModel(toLux) {
+  if (!toLux || typeof toLux === "function") {
+    return toLux || null;
+  }
+
+  const model = typeof toLux === "string" ? { model: toLux } : toLux;
+
+  if (!luxDefaults[model.model]) {
+    throw new Error(`Unknown lux model "${model.model}". Use "ldr" or "phototransistor"`);
+  }
+
+  return Object.assign({}, luxDefaults[model.model], model);
+}
+
+// Solve for the model's two free parameters using two [raw, lux] points
+function fitLuxModel(model, points, resolution) {
+  if (!model || typeof model === "function") {
+    throw new Error("calibrateLux needs an \"ldr\" or \"phototransistor\" toLux model");
+  }
+
+  if (points.length < 2) {
+    throw new Error("calibrateLux needs readings at two light levels");
+  }
+
+  const [raw1, lux1] = points[0];
+  const [raw2, lux2] = points[points.length - 1];
+
+  if (raw1 === raw2 || lux1 === lux2) {
+    throw new Error("calibrateLux needs two different light levels");
+  }
+
+  const fitted = Object.assign({}, model);
+
+  if (model.model === "ldr") {
+    const r1 = ldrResistance(fullScaleRatio(raw1, resolution), model);
+    const r2 = ldrResistance(fullScaleRatio(raw2, resolution), model);
+    fitted.gamma = Math.log(r1 / r2) / Math.log(lux2 / lux1);
+    fitted.r10 = r1 * Math.pow(lux1 / 10, fitted.gamma);
+  } else {
+    const i1 = microamps(fullScaleRatio(raw1, resolution), model);
+    const i2 = microamps(fullScaleRatio(raw2, resolution), model);
+    fitted.sensitivity = (i2 - i1) / (lux2 - lux1);
+    fitted.darkCurrent = i1 - fitted.sensitivity * lux1;
+  }
+
+  return fitted;
+}
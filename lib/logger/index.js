@@ -0,0 +1,609 @@
+/**
+ * For logging device events to a file, preferences or memory
+ * @module j5e/logger
+ * @requires module:j5e/event
+ * @requires module:j5e/fn
+ */
+
+import { Emitter } from "j5e/event";
+import { timer } from "j5e/fn";
+
+// Device properties that are written to the log header when they exist
+const describedProperties = [
+  "interval",
+  "smoothing",
+  "filter",
+  "sliding",
+  "threshold",
+  "limit",
+  "range",
+  "resolution",
+  "oversample",
+  "decimate",
+  "type",
+  "holdtime"
+];
+
+/**
+ * Class representing a data logger
+ * @classdesc The Logger class writes selected events from one or more devices to a sink in CSV or JSON Lines format
+ * @extends module:j5e/event.Emitter
+ * @fires flush
+ * @fires rotate
+ */
+class Logger extends Emitter {
+
+  #state = {
+    devices: [],
+    events: [],
+    sink: null,
+    format: "csv",
+    fields: null,
+    buffer: [],
+    flushInterval: 1000,
+    flushId: null,
+    maxSize: 0,
+    size: 0,
+    header: true,
+    metadata: {},
+    subscriptions: []
+  };
+
+  /**
+   * Instantiate a logger
+   * @param {object} options - Logger options
+   * @param {(Emitter|Emitter[]|object[])} options.device - A device, an array of devices, or an array of { device, name } objects
+   * @param {object} options.sink - Where to write. A MemorySink, FileSink, PreferenceSink or any object with a write(text) method. A rotate() method is needed for size-based rotation.
+   * @param {string[]} [options.events=["data"]] - The events to log. Patterns like "limit:*" are allowed.
+   * @param {string} [options.format="csv"] - "csv" or "jsonl"
+   * @param {string[]} [options.fields=["timestamp", "device", "event", "value"]] - The CSV columns. Properties of object event values (e.g. Sensor reading objects) can be used as columns.
+   * @param {number} [options.flushInterval=1000] - How often to write buffered lines in milliseconds. 0 writes each line immediately.
+   * @param {number} [options.maxSize=0] - Rotate the sink after this many characters have been written. 0 never rotates.
+   * @param {(boolean|object)} [options.header=true] - Write a header describing the devices (and the fields in CSV). Pass an object to add your own metadata to the header.
+   * @property {string} header - The header text written at the start of each log
+   * @property {number} size - The number of characters written since the last rotation
+   * @example
+   * <caption>Log light readings to a file</caption>
+   * import Light from "j5e/light";
+   * import Logger, { FileSink } from "j5e/logger";
+   *
+   * const light = await new Light(12);
+   * const sink = await new FileSink("/light.csv");
+   *
+   * const logger = new Logger({
+   *   device: light,
+   *   events: ["change"],
+   *   sink,
+   *   maxSize: 65536
+   * });
+   *
+   * @example
+   * <caption>Keep the last 100 sensor events in memory as JSON Lines</caption>
+   * import Sensor from "j5e/sensor";
+   * import Logger, { MemorySink } from "j5e/logger";
+   *
+   * const sensor = await new Sensor(12);
+   * const sink = new MemorySink({ size: 100 });
+   *
+   * const logger = new Logger({
+   *   device: sensor,
+   *   events: ["data", "limit:*"],
+   *   format: "jsonl",
+   *   sink
+   * });
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.sink || typeof options.sink.write !== "function") {
+      throw new Error("Logger requires a sink with a write method");
+    }
+
+    if (options.format && options.format !== "csv" && options.format !== "jsonl") {
+      throw new Error("Logger format must be \"csv\" or \"jsonl\"");
+    }
+
+    const devices = Array.isArray(options.device) ? options.device : [options.device];
+
+    this.#state.devices = devices.map((entry, index) => {
+      const device = entry && entry.device ? entry.device : entry;
+      const name = entry && entry.name ? entry.name : `${device.constructor.name}${devices.length > 1 ? index : ""}`;
+      return { device, name };
+    });
+
+    this.#state.sink = options.sink;
+    this.#state.events = options.events || ["data"];
+    this.#state.format = options.format || "csv";
+    this.#state.fields = options.fields || ["timestamp", "device", "event", "value"];
+    this.#state.flushInterval = typeof options.flushInterval === "number" ? options.flushInterval : 1000;
+    this.#state.maxSize = options.maxSize || 0;
+    this.#state.header = options.header !== false;
+    this.#state.metadata = typeof options.header === "object" ? options.header : {};
+
+    Object.defineProperties(this, {
+      header: {
+        get() {
+          return this.#createHeader();
+        }
+      },
+      size: {
+        get() {
+          return this.#state.size;
+        }
+      }
+    });
+
+    if (this.#state.header) {
+      const header = this.header;
+      try {
+        this.#write(header);
+      } catch (error) {
+        // Try again on the next flush
+        this.#state.buffer.push(header);
+        this.emitError(error, "header");
+      }
+    }
+
+    this.#state.devices.forEach(({ device, name }) => {
+      this.#state.events.forEach(event => {
+        const isPattern = event.endsWith("*");
+        const listener = (...args) => {
+          this.log(name, isPattern ? args[0] : event, isPattern ? args[1] : args[0]);
+        };
+        device.on(event, listener);
+        this.#state.subscriptions.push({ device, event, listener });
+      });
+    });
+
+    if (this.#state.flushInterval > 0) {
+      this.#state.flushId = timer.setInterval(() => this.flush(), this.#state.flushInterval);
+    }
+  }
+
+  /**
+   * Add a record to the log. Device events are logged automatically, but this can be used to add your own records.
+   * @param {string} device - The device name
+   * @param {string} event - The event name
+   * @param {(number|object)} value - The event value. Object properties are merged into the record.
+   * @return {Logger}
+   * @example
+   * logger.log("app", "boot", { version: "1.0.0" });
+   */
+  log(device, event, value) {
+    const record = { timestamp: Date.now(), device, event };
+
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      Object.assign(record, value);
+    } else {
+      record.value = value;
+    }
+
+    this.#state.buffer.push(this.#format(record));
+
+    if (this.#state.flushInterval <= 0) {
+      this.flush();
+    }
+
+    return this;
+  }
+
+  /**
+   * Write buffered records to the sink
+   * @return {Logger}
+   * @example
+   * logger.flush();
+   */
+  flush() {
+    if (this.#state.buffer.length === 0) {
+      return this;
+    }
+
+    const lines = this.#state.buffer;
+    this.#state.buffer = [];
+
+    try {
+      this.#write(lines.join(""));
+    } catch (error) {
+      // Keep the lines so they are written on the next flush
+      this.#state.buffer = lines.concat(this.#state.buffer);
+      this.emitError(error, "flush");
+      return this;
+    }
+
+    this.emit("flush", lines.length);
+
+    return this;
+  }
+
+  /**
+   * Flush the buffer, stop listening to the devices and close the sink
+   * @return {Logger}
+   * @example
+   * logger.stop();
+   */
+  stop() {
+    this.flush();
+
+    if (this.#state.flushId) {
+      timer.clearInterval(this.#state.flushId);
+      this.#state.flushId = null;
+    }
+
+    this.#state.subscriptions.forEach(({ device, event, listener }) => {
+      device.removeListener(event, listener);
+    });
+    this.#state.subscriptions = [];
+
+    if (typeof this.#state.sink.close === "function") {
+      this.#state.sink.close();
+    }
+
+    return this;
+  }
+
+  /**
+   * Write text to the sink and rotate when maxSize has been reached. Rotation errors are passed to emitError() and the text is still written to the current sink.
+   * @access private
+   */
+  #write(text) {
+    const sink = this.#state.sink;
+
+    if (
+      this.#state.maxSize &&
+      this.#state.size > 0 &&
+      this.#state.size + text.length > this.#state.maxSize &&
+      typeof sink.rotate === "function"
+    ) {
+      this.#rotate();
+    }
+
+    sink.write(text);
+    this.#state.size += text.length;
+  }
+
+  /**
+   * Rotate the sink and start the new log with a header
+   * @access private
+   */
+  #rotate() {
+    const sink = this.#state.sink;
+
+    try {
+      sink.rotate();
+    } catch (error) {
+      this.emitError(error, "rotate");
+      return;
+    }
+
+    this.#state.size = 0;
+    this.emit("rotate");
+
+    if (this.#state.header) {
+      const header = this.header;
+      try {
+        sink.write(header);
+        this.#state.size += header.length;
+      } catch (error) {
+        this.emitError(error, "header");
+      }
+    }
+  }
+
+  /**
+   * Format a record as a CSV row or a JSON line
+   * @access private
+   */
+  #format(record) {
+    if (this.#state.format === "jsonl") {
+      return `${JSON.stringify(record)}\n`;
+    }
+    return `${this.#state.fields.map(field => csvValue(record[field])).join(",")}\n`;
+  }
+
+  /**
+   * Describe the devices being logged
+   * @access private
+   */
+  #createHeader() {
+    const devices = {};
+
+    this.#state.devices.forEach(({ device, name }) => {
+      devices[name] = describe(device);
+    });
+
+    const header = Object.assign({}, this.#state.metadata, {
+      started: Date.now(),
+      events: this.#state.events,
+      devices
+    });
+
+    if (this.#state.format === "jsonl") {
+      return `${JSON.stringify({ header })}\n`;
+    }
+
+    return `# ${JSON.stringify(header)}\n${this.#state.fields.join(",")}\n`;
+  }
+
+}
+
+/**
+ * Class representing an in-memory ring buffer sink
+ * @classdesc Keeps the most recent lines in memory
+ */
+export class MemorySink {
+
+  #state = {
+    lines: [],
+    size: 100
+  };
+
+  /**
+   * Instantiate a memory sink
+   * @param {object} [options] - Sink options
+   * @param {number} [options.size=100] - The number of lines to keep
+   * @property {string[]} lines - The lines in the buffer, oldest first
+   */
+  constructor(options = {}) {
+    this.#state.size = options.size || 100;
+
+    Object.defineProperties(this, {
+      lines: {
+        get() {
+          return this.#state.lines.slice();
+        }
+      }
+    });
+  }
+
+  /**
+   * Add text to the buffer. Text is split into lines.
+   * @param {string} text - The text to write
+   */
+  write(text) {
+    text.split("\n").forEach(line => {
+      if (line !== "") {
+        this.#state.lines.push(line);
+      }
+    });
+    this.#state.lines.splice(0, this.#state.lines.length - this.#state.size);
+  }
+
+  /**
+   * Empty the buffer
+   */
+  clear() {
+    this.#state.lines = [];
+  }
+
+  /**
+   * Get the buffer contents
+   * @return {string}
+   */
+  toString() {
+    return this.#state.lines.map(line => `${line}\n`).join("");
+  }
+
+}
+
+/**
+ * Class representing a file sink
+ * @classdesc Appends to a file using node's fs module on a host or Moddable's file module on a microcontroller
+ * @async
+ */
+export class FileSink {
+
+  #state = {
+    path: null,
+    keep: 1,
+    fs: null
+  };
+
+  /**
+   * Instantiate a file sink
+   * @param {(string|object)} options - A path or an options object
+   * @param {string} options.path - The path of the log file
+   * @param {number} [options.keep=1] - The number of rotated files to keep (path.1, path.2 ...)
+   * @param {object} [options.fs] - A file system adapter with append(path, text), rename(from, to), remove(path) and exists(path) methods. Defaults to node's fs or Moddable's file module, which the j5e/logger manifest includes.
+   * @property {string} path - The path of the log file
+   * @example
+   * import { FileSink } from "j5e/logger";
+   *
+   * const sink = await new FileSink({ path: "/log.csv", keep: 3 });
+   */
+  constructor(options) {
+    return (async() => {
+      options = typeof options === "string" ? { path: options } : options;
+
+      this.#state.path = options.path;
+      this.#state.keep = options.keep || 1;
+      this.#state.fs = options.fs || await loadFileSystem();
+
+      Object.defineProperties(this, {
+        path: {
+          get() {
+            return this.#state.path;
+          }
+        }
+      });
+
+      return this;
+    })();
+  }
+
+  /**
+   * Append text to the file
+   * @param {string} text - The text to write
+   */
+  write(text) {
+    this.#state.fs.append(this.#state.path, text);
+  }
+
+  /**
+   * Move the current file to path.1 (path.1 to path.2 and so on) and start a new file
+   */
+  rotate() {
+    const { fs, path, keep } = this.#state;
+
+    if (fs.exists(`${path}.${keep}`)) {
+      fs.remove(`${path}.${keep}`);
+    }
+
+    for (let i = keep - 1; i > 0; i--) {
+      if (fs.exists(`${path}.${i}`)) {
+        fs.rename(`${path}.${i}`, `${path}.${i + 1}`);
+      }
+    }
+
+    if (fs.exists(path)) {
+      fs.rename(path, `${path}.1`);
+    }
+  }
+
+}
+
+/**
+ * Class representing a preferences sink
+ * @classdesc Stores lines in Moddable's preference store as a ring of numbered keys. Preference values are small, so each line is stored in its own key and lines longer than maxLength are truncated. Pass header: false to a Logger that writes to a PreferenceSink to leave the header out.
+ * @async
+ */
+export class PreferenceSink {
+
+  #state = {
+    domain: "j5e-log",
+    slots: 16,
+    maxLength: 63,
+    next: 0,
+    preference: null
+  };
+
+  /**
+   * Instantiate a preference sink
+   * @param {object} [options] - Sink options
+   * @param {string} [options.domain="j5e-log"] - The preference domain
+   * @param {number} [options.slots=16] - The number of lines to keep
+   * @param {number} [options.maxLength=63] - The longest line to store. Longer lines are truncated.
+   * @param {object} [options.preference] - The preference module. Defaults to Moddable's preference module, which the j5e/logger manifest includes.
+   * @property {string[]} lines - The stored lines, oldest first
+   * @example
+   * import { PreferenceSink } from "j5e/logger";
+   *
+   * const sink = await new PreferenceSink({ slots: 32 });
+   */
+  constructor(options = {}) {
+    return (async() => {
+      this.#state.domain = options.domain || "j5e-log";
+      this.#state.slots = options.slots || 16;
+      this.#state.maxLength = options.maxLength || 63;
+      this.#state.preference = options.preference || (await import("preference")).default;
+
+      const next = this.#state.preference.get(this.#state.domain, "next");
+      this.#state.next = typeof next === "number" ? next : 0;
+
+      Object.defineProperties(this, {
+        lines: {
+          get() {
+            const { preference, domain, slots, next } = this.#state;
+            const lines = [];
+            for (let i = 0; i < slots; i++) {
+              const line = preference.get(domain, String((next + i) % slots));
+              if (typeof line === "string") {
+                lines.push(line);
+              }
+            }
+            return lines;
+          }
+        }
+      });
+
+      return this;
+    })();
+  }
+
+  /**
+   * Store each line of text, truncated to maxLength, in the next slot
+   * @param {string} text - The text to write
+   */
+  write(text) {
+    const { preference, domain, slots, maxLength } = this.#state;
+
+    text.split("\n").forEach(line => {
+      if (line !== "") {
+        preference.set(domain, String(this.#state.next), line.slice(0, maxLength));
+        this.#state.next = (this.#state.next + 1) % slots;
+      }
+    });
+
+    preference.set(domain, "next", this.#state.next);
+  }
+
+}
+
+export default Logger;
+
+// Quote CSV values that contain a delimiter, quote or line break
+function csvValue(value) {
+  if (value === null || typeof value === "undefined") {
+    return "";
+  }
+
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+
+  if (/[",\n\r]/.test(text)) {
+    text = `"${text.replace(/"/g, "\"\"")}"`;
+  }
+
+  return text;
+}
+
+// Collect the device properties that are worth writing to a log header
+function describe(device) {
+  const description = {};
+
+  if (device.io && typeof device.io.pin !== "undefined") {
+    description.pin = device.io.pin;
+  }
+
+  describedProperties.forEach(property => {
+    let value;
+
+    try {
+      value = device[property];
+    } catch (error) {
+      return;
+    }
+
+    if (typeof value === "function" || typeof value === "undefined") {
+      return;
+    }
+
+    description[property] = value;
+  });
+
+  return description;
+}
+
+// Use node's fs module on a host or Moddable's file module on a microcontroller
+async function loadFileSystem() {
+  try {
+    const fs = await import("fs");
+    return {
+      append: (path, text) => fs.appendFileSync(path, text),
+      rename: (from, to) => fs.renameSync(from, to),
+      remove: path => fs.unlinkSync(path),
+      exists: path => fs.existsSync(path)
+    };
+  } catch (error) {
+    const { File } = await import("file");
+    return {
+      append: (path, text) => {
+        const file = new File(path, true);
+        file.position = file.length;
+        file.write(text);
+        file.close();
+      },
+      rename: (from, to) => File.rename(from, to.slice(to.lastIndexOf("/") + 1)),
+      remove: path => File.delete(path),
+      exists: path => File.exists(path)
+    };
+  }
+}
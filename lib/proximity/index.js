@@ -0,0 +1,180 @@
+/**
+ * Class Proximity
+ * @module j5e/proximity
+ * @requires module:j5e/sensor
+ * @requires module:j5e/fn
+ */
+
+import Sensor from "j5e/sensor";
+import { constrain, toFixed, normalizeParams } from "j5e/fn";
+
+/**
+ * Class representing an analog IR proximity sensor
+ * @classdesc The Proximity class converts readings from Sharp GP2Y0A21, GP2Y0A02 and GP2Y0A41 IR rangers to distances. Sensor values, thresholds and limits are in centimeters.
+ * @async
+ * @inheritdoc
+ * @extends module:j5e/sensor~Sensor
+ * @fires data
+ * @fires change
+ */
+class Proximity extends Sensor {
+
+  /**
+   * Instantiate a proximity sensor
+   * @param {object} options - A pin number, pin identifier or a complete IO options object (See {@tutorial C-INSTANTIATING}
+   * @param {string} [options.controller="GP2Y0A21"] - "GP2Y0A21" (10-80cm), "GP2Y0A02" (20-150cm) or "GP2Y0A41" (4-30cm)
+   * @param {number} [options.aref=3.3] - The voltage of a full scale reading
+   * @param {string} [options.outOfRange="null"] - "null" reports distances outside the sensor's range as null and skips their "data" and "change" events, "clamp" reports the nearest end of the range
+   * @param {number} [options.threshold=1] - The minimum change in centimeters required to emit a "change" event
+   * @property {number} cm - Get the distance in centimeters to one decimal place
+   * @property {number} in - Get the distance in inches to one decimal place
+   * @property {number[]} distanceRange - The [min, max] distance in centimeters the sensor can measure
+   * @property {string} controller - The sensor model
+   * @property {string} outOfRange - Get/Set how distances outside the range are reported ("null" or "clamp")
+   * @example
+   * <caption>Use a GP2Y0A21</caption>
+   * import Proximity from "j5e/proximity";
+   *
+   * const proximity = await new Proximity(12);
+   *
+   * proximity.on("change", () => {
+   *   trace(`${proximity.cm}cm\n`);
+   * });
+   *
+   * @example
+   * <caption>Watch for something within 12 inches</caption>
+   * import Proximity from "j5e/proximity";
+   *
+   * const proximity = await new Proximity({
+   *   pin: 12,
+   *   controller: "GP2Y0A02"
+   * });
+   *
+   * proximity.within([0, 12], "in", {
+   *   enter: () => trace("Too close\n")
+   * });
+   */
+  constructor(options) {
+    return (async() => {
+      options = normalizeParams(options);
+
+      const controller = String(options.controller || "GP2Y0A21").toUpperCase();
+      const curve = curves[controller];
+
+      if (!curve) {
+        throw new Error(`Unknown proximity controller "${options.controller}". Use "GP2Y0A21", "GP2Y0A02" or "GP2Y0A41"`);
+      }
+
+      const sensor = await super(options);
+      const state = {
+        aref: options.aref || 3.3,
+        curve,
+        outOfRange: "null"
+      };
+      states.set(sensor, state);
+
+      Object.defineProperties(sensor, {
+        controller: {
+          get() {
+            return controller;
+          }
+        },
+        distanceRange: {
+          get() {
+            return curve.range.slice();
+          }
+        },
+        outOfRange: {
+          get() {
+            return state.outOfRange;
+          },
+          set(newOutOfRange) {
+            if (newOutOfRange !== "null" && newOutOfRange !== "clamp") {
+              throw new Error("outOfRange must be \"null\" or \"clamp\"");
+            }
+            state.outOfRange = newOutOfRange;
+          }
+        },
+        cm: {
+          get() {
+            const distance = this.value;
+
+            if (distance === null || !this.isValidReading(distance)) {
+              return null;
+            }
+
+            return toFixed(distance, 1);
+          }
+        },
+        in: {
+          get() {
+            const cm = this.cm;
+            return cm === null ? null : toFixed(cm / 2.54, 1);
+          }
+        }
+      });
+
+      if (typeof options.outOfRange !== "undefined") {
+        sensor.outOfRange = options.outOfRange;
+      }
+
+      return sensor;
+    })();
+  }
+
+  /**
+   * Convert a raw reading to centimeters
+   * @ignore
+   */
+  convert(raw) {
+    const { aref, curve, outOfRange } = states.get(this);
+    const volts = Math.max(raw / this.resolution, 0.5 / this.resolution) * aref;
+    const distance = curve.coefficient * Math.pow(volts, curve.exponent);
+    return outOfRange === "clamp" ? constrain(distance, curve.range[0], curve.range[1]) : distance;
+  }
+
+  /**
+   * Distances outside the sensor's range are not readings unless outOfRange is "clamp"
+   * @ignore
+   */
+  isValidReading(value) {
+    const [min, max] = this.distanceRange;
+    return states.get(this).outOfRange === "clamp" || (value >= min && value <= max);
+  }
+
+  /**
+   * Adds cm and in to reading objects
+   * @ignore
+   */
+  createReading(value) {
+    const reading = super.createReading(value);
+    reading.cm = this.cm;
+    reading.in = this.in;
+    return reading;
+  }
+
+}
+
+export default Proximity;
+
+const states = new WeakMap();
+
+// Power curve fits of each sensor's typical output voltage to distance
+// (cm = coefficient * volts ^ exponent) and its rated range in cm
+const curves = {
+  GP2Y0A21: {
+    coefficient: 27.728,
+    exponent: -1.2045,
+    range: [10, 80]
+  },
+  GP2Y0A02: {
+    coefficient: 60.374,
+    exponent: -1.16,
+    range: [20, 150]
+  },
+  GP2Y0A41: {
+    coefficient: 12.08,
+    exponent: -1.058,
+    range: [4, 30]
+  }
+};
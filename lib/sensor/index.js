@@ -6,7 +6,7 @@
  */
 
 import Withinable from "j5e/withinable";
-import { normalizeParams, getProvider, timer, map, fmap, constrain } from "j5e/fn";
+import { normalizeParams, getProvider, timer, map, fmap, constrain, interpolate } from "j5e/fn";
 
 /**
  * Class representing a generic sensor
@@ -21,6 +21,7 @@ class Sensor extends Withinable {
     enabled: null,
     scale: null,
     range: null,
+    isRanged: false,
     isScaled: false,
     raw: null,
     value: null,
@@ -29,9 +30,32 @@ class Sensor extends Withinable {
     interval: null,
     previousInterval: 100,
     limit: null,
+    limitHysteresis: 0,
+    limitBoundary: null,
+    latch: false,
+    isLatched: false,
     threshold: 1,
     last: null,
-    samples: []
+    samples: [],
+    filter: null,
+    sliding: false,
+    calibration: null,
+    history: null,
+    historySize: 0,
+    historyDuration: 0,
+    windowCount: 0,
+    windowStart: null,
+    rate: null,
+    rateThreshold: null,
+    rateDirection: null,
+    uncaught: null,
+    previous: null,
+    lazy: false,
+    readable: false,
+    oversample: 1,
+    decimate: 0,
+    precision: 0,
+    eventFormat: "number"
   };
 
   /**
@@ -40,15 +64,45 @@ class Sensor extends Withinable {
    * @param {number} [options.interval=100] - Interval between readings in millseconds
    * @param {number[]} [options.range=[0, N]] - The input range of the sensor
    * @param {number[]} [options.scale=[0, N]] - The output range for the sensor's value
-   * @param {number[]} [options.limit=null] - Limit the output range
+   * @param {number[]} [options.limit=null] - Emit "limit" events when the value crosses below limit[0] or above limit[1]
+   * @param {number} [options.limitHysteresis=0] - How far back inside the limit the value must go before "limit:clear" is emitted
+   * @param {boolean} [options.latch=false] - When true, a limit event will not fire again until acknowledge() is called
    * @param {number} [options.threshold=1] - The minimum amount of change required to emit a "change" event
+   * @param {number} [options.smoothing=10] - The number of samples in the filter window
+   * @param {(string|object|function)} [options.filter="median"] - The filter used to smooth samples. One of "median", "rollingMedian", "movingAverage", "ema", "kalman" or "rms" (root mean square of each batch), an object with a type property and that filter's parameters (e.g. { type: "ema", alpha: 0.2 }), or a function that is passed the sample window and the newest sample and returns the filtered value.
+   * @param {boolean} [options.sliding] - When true the filter window slides and every read emits a "data" event. When false samples are collected in batches of <smoothing>. Defaults to false for "median", "rms" and filter functions, and true for every other filter.
+   * @param {(number[][]|object|function)} [options.calibration=null] - Converts raw readings instead of range and scale. Either an array of [raw, value] points for piecewise-linear interpolation, { points: [...] }, { coefficients: [c0, c1, c2, ...] } for a polynomial in raw, or a function that is passed the raw reading and returns a value.
+   * @param {(number|object)} [options.history=null] - Keep a history of filtered values. Either the number of values to keep or an object with samples and/or duration (ms) properties. A "stats" event fires each time a full window of new values has been collected.
+   * @param {(number|object)} [options.rateThreshold=null] - Emit "rate:rising" and "rate:falling" when the rate of change passes this many units per second. Pass { rising, falling } to use different thresholds for each direction.
    * @param {boolean} [options.enabled=true] - Wether the device is currently performing reads every <interval>ms
+   * @param {number} [options.oversample=1] - The number of back-to-back reads to take each interval. Every read is passed through the filter and raw is set to their mean.
+   * @param {number} [options.decimate=0] - Add this many bits of resolution by taking 4^decimate reads each interval, summing them and shifting the sum right by decimate bits. Overrides oversample.
+   * @param {number} [options.precision=0] - The number of decimal places in "data" and "change" event values
+   * @param {string} [options.eventFormat="number"] - "number" passes the rounded filtered value to "data" and "change" listeners. "object" passes a reading object instead ({ value, raw, scaled, level, timestamp, samples }).
+   * @param {boolean} [options.lazy=false] - Only take readings while something is listening. The sensor is enabled when the first listener (other than "error") is added and disabled when the last one is removed.
+   * @param {boolean} [options.readable] - Read when the IO provider calls onReadable instead of polling every <interval>ms. By default the sensor polls until the provider's first onReadable call and then stops polling. Providers that throw on onReadable are polled. true never polls and false never passes onReadable to the provider.
+   * @param {string} [options.errorPolicy="throw"] - What to do with errors when nothing is listening for "error" ("log", "throw" or "stop")
    * @property {number} value - Get the most recent scaled median value
    * @property {number} scaled - Get the most recent scaled raw reading
    * @property {number} level - Get the most recent value scaled to [0,1]
    * @property {number} raw - Get the most recent raw ADC reading
-   * @property {number} resolution - The maximum possible ADC reading
-   * @property {number} smoothing - The number of samples to take before finding the median
+   * @property {number} filtered - Get the most recent filtered value
+   * @property {number} precision - Get/Set the number of decimal places in event values
+   * @property {number} resolution - The maximum possible ADC reading (including any bits added by decimate)
+   * @property {string} eventFormat - Get/Set the format of "data" and "change" event values ("number" or "object")
+   * @property {number} oversample - Get/Set the number of reads to take each interval
+   * @property {number} decimate - Get/Set the number of bits of resolution to add by oversampling. The default range and scale follow the new resolution.
+   * @property {number} smoothing - The number of samples in the filter window
+   * @property {(string|object|function)} filter - The filter used to smooth samples
+   * @property {boolean} sliding - Whether the filter window slides
+   * @property {number} limitHysteresis - Get/Set the limit hysteresis band
+   * @property {string} limitBoundary - The limit that is currently exceeded ("lower", "upper" or null)
+   * @property {boolean} isLatched - True if a latched limit alarm is waiting to be acknowledged
+   * @property {(number[][]|object|function)} calibration - Get/Set the calibration used to convert raw readings
+   * @property {object[]} history - The filtered values in the history window, each with a timestamp and value
+   * @property {number} rate - The rate of change of the filtered value in units per second
+   * @property {object} rateThreshold - Get/Set the rate thresholds ({ rising, falling })
+   * @property {object} stats - The min, max, mean, stddev, slope (units per second) and count of the values in the history window
    * @example
    * <caption>Using a pin number</caption>
    * import Sensor from "j5e/sensor";
@@ -82,12 +136,38 @@ class Sensor extends Withinable {
   constructor(options) {
     return (async() => {
       options = normalizeParams(options);
-      super();
+      super(options);
 
       const Provider = await getProvider(options, "builtin/analog");
-      this.io = new Provider({
-        pin: options.pin,
-      });
+      const ioOptions = {
+        pin: options.pin
+      };
+
+      if (options.readable !== false) {
+        this.#state.readable = options.readable === true;
+        ioOptions.onReadable = () => {
+          // The provider signals new readings, so polling is not needed
+          if (!this.#state.readable) {
+            this.#state.readable = true;
+            timer.clearInterval(this.#state.intervalId);
+            this.#state.intervalId = null;
+          }
+          if (this.#state.enabled) {
+            this.eventProcessing();
+          }
+        };
+      }
+
+      try {
+        this.io = new Provider(ioOptions);
+      } catch (error) {
+        // Providers without onReadable support are polled
+        if (!ioOptions.onReadable || options.readable === true) {
+          throw error;
+        }
+        this.#state.readable = false;
+        this.io = new Provider({ pin: options.pin });
+      }
 
       Object.defineProperties(this, {
         interval: {
@@ -101,7 +181,7 @@ class Sensor extends Withinable {
               timer.clearInterval(this.#state.intervalId);
             }
 
-            if (this.#state.interval !== 0) {
+            if (this.#state.interval !== 0 && !this.#state.readable) {
               this.#state.intervalId = timer.setInterval(this.eventProcessing.bind(this), newInterval);
             }
           }
@@ -116,6 +196,19 @@ class Sensor extends Withinable {
             return this.#state.raw;
           }
         },
+        filtered: {
+          get() {
+            return this.#state.median;
+          }
+        },
+        precision: {
+          get() {
+            return this.#state.precision;
+          },
+          set(newPrecision) {
+            this.#state.precision = Math.max(0, newPrecision | 0);
+          }
+        },
         smoothing: {
           get() {
             return this.#state.smoothing;
@@ -124,6 +217,25 @@ class Sensor extends Withinable {
             this.#state.smoothing = newSmoothing;
           }
         },
+        filter: {
+          get() {
+            return this.#state.filter.source;
+          },
+          set(newFilter) {
+            this.#state.filter = createFilter(newFilter);
+            this.#state.sliding = this.#state.filter.sliding;
+            this.#state.samples = [];
+          }
+        },
+        sliding: {
+          get() {
+            return this.#state.sliding;
+          },
+          set(newSliding) {
+            this.#state.sliding = Boolean(newSliding);
+            this.#state.samples = [];
+          }
+        },
         threshold: {
           get() {
             return this.#state.threshold;
@@ -138,11 +250,91 @@ class Sensor extends Withinable {
           },
           set(newLimit) {
             this.#state.limit = newLimit;
+            this.#state.limitBoundary = null;
+          }
+        },
+        limitHysteresis: {
+          get() {
+            return this.#state.limitHysteresis;
+          },
+          set(newLimitHysteresis) {
+            this.#state.limitHysteresis = newLimitHysteresis;
+          }
+        },
+        limitBoundary: {
+          get() {
+            return this.#state.limitBoundary;
+          }
+        },
+        isLatched: {
+          get() {
+            return this.#state.isLatched;
+          }
+        },
+        history: {
+          get() {
+            return this.#state.history ? this.#state.history.slice() : [];
+          }
+        },
+        stats: {
+          get() {
+            return statistics(this.#state.history || []);
+          }
+        },
+        rate: {
+          get() {
+            return this.#state.rate;
+          }
+        },
+        rateThreshold: {
+          get() {
+            return this.#state.rateThreshold;
+          },
+          set(newRateThreshold) {
+            this.#state.rateThreshold = typeof newRateThreshold === "number" ?
+              { rising: newRateThreshold, falling: newRateThreshold } :
+              newRateThreshold;
+            this.#state.rateDirection = null;
           }
         },
         resolution: {
           get() {
-            return 2 ** this.io.resolution - 1;
+            return 2 ** (this.io.resolution + this.#state.decimate) - 1;
+          }
+        },
+        eventFormat: {
+          get() {
+            return this.#state.eventFormat;
+          },
+          set(newEventFormat) {
+            if (newEventFormat !== "number" && newEventFormat !== "object") {
+              throw new Error("eventFormat must be \"number\" or \"object\"");
+            }
+            this.#state.eventFormat = newEventFormat;
+          }
+        },
+        oversample: {
+          get() {
+            return this.#state.oversample;
+          },
+          set(newOversample) {
+            this.#state.oversample = Math.max(1, newOversample | 0);
+          }
+        },
+        decimate: {
+          get() {
+            return this.#state.decimate;
+          },
+          set(newDecimate) {
+            this.#state.decimate = Math.max(0, newDecimate | 0);
+
+            // Default range and scale follow the resolution
+            if (this.#state.range && !this.#state.isRanged) {
+              this.#state.range = [0, this.resolution];
+            }
+            if (this.#state.scale && !this.#state.isScaled) {
+              this.#state.scale = [0, this.resolution];
+            }
           }
         },
         range: {
@@ -150,15 +342,20 @@ class Sensor extends Withinable {
             return this.#state.range;
           }
         },
-        scaled: {
+        calibration: {
           get() {
-            let mapped, constrained;
-            if (this.#state.scale && this.#state.raw !== null) {
-              mapped = fmap(this.#state.raw, this.#state.range[0], this.#state.range[1], this.#state.scale[0], this.#state.scale[1]);
-              constrained = constrain(mapped, this.#state.scale[0], this.#state.scale[1]);
-              return constrained;
+            return this.#state.calibration ? this.#state.calibration.source : null;
+          },
+          set(newCalibration) {
+            if (newCalibration) {
+              this.#assertCalibratable();
             }
-            return this.#state.raw;
+            this.#state.calibration = createCalibration(newCalibration);
+          }
+        },
+        scaled: {
+          get() {
+            return this.#scaleRaw(this.#state.raw);
           }
         }
       });
@@ -171,12 +368,49 @@ class Sensor extends Withinable {
         this.#state.smoothing = options.smoothing;
       }
 
-      this.#state.range = options.range || [0, 2 ** this.io.resolution - 1];
-      this.#state.scale = options.scale || [0, 2 ** this.io.resolution - 1];
+      this.filter = options.filter || "median";
+      if (typeof options.sliding !== "undefined") {
+        this.sliding = options.sliding;
+      }
+
+      if (typeof options.eventFormat !== "undefined") {
+        this.eventFormat = options.eventFormat;
+      }
+
+      if (typeof options.precision !== "undefined") {
+        this.precision = options.precision;
+      }
+
+      if (typeof options.oversample !== "undefined") {
+        this.oversample = options.oversample;
+      }
+
+      if (typeof options.decimate !== "undefined") {
+        this.decimate = options.decimate;
+      }
+
+      this.#state.range = options.range || [0, this.resolution];
+      this.#state.scale = options.scale || [0, this.resolution];
+      this.#state.isRanged = Boolean(options.range);
+      this.#state.isScaled = Boolean(options.scale);
       this.#state.limit = options.limit || null;
+      this.#state.limitHysteresis = options.limitHysteresis || 0;
+      this.#state.latch = Boolean(options.latch);
       this.#state.threshold = typeof options.threshold === "undefined" ? 1 : options.threshold;
+      this.calibration = options.calibration || null;
+
+      this.rateThreshold = options.rateThreshold || null;
+
+      if (options.history) {
+        const history = typeof options.history === "number" ? { samples: options.history } : options.history;
+        this.#state.history = [];
+        this.#state.historySize = history.samples || 0;
+        this.#state.historyDuration = history.duration || 0;
+      }
+
+      this.#state.lazy = Boolean(options.lazy);
 
-      if (options.enabled === false) {
+      if (options.enabled === false || this.#state.lazy) {
         this.disable();
       } else {
         this.enable();
@@ -234,6 +468,82 @@ class Sensor extends Withinable {
     return this;
   }
 
+  /**
+   * Convert a raw reading to a value using the calibration, or range and scale. Subclasses that measure in real units override this with their own conversion, and the calibration option, the calibration property and calibrate() then throw because the override would ignore them.
+   *
+   * Sensor's constructor returns a promise that resolves to the instance, so private fields declared on a subclass are installed on the promise and not on the sensor. An override that needs per instance state keeps it in a module WeakMap keyed by the sensor instead.
+   * @param {number} raw - The raw reading
+   * @return {number}
+   * @ignore
+   */
+  convert(raw) {
+    if (this.#state.calibration) {
+      return this.#state.calibration(raw);
+    }
+    if (this.#state.scale) {
+      const mapped = fmap(raw, this.#state.range[0], this.#state.range[1], this.#state.scale[0], this.#state.scale[1]);
+      return constrain(mapped, this.#state.scale[0], this.#state.scale[1]);
+    }
+    return raw;
+  }
+
+  /**
+   * Called with each new filtered value after "data", "change", rate, history and limit processing. No operation here... Meant to be overwritten by subclasses
+   * @param {number} value - The filtered value
+   * @ignore
+   */
+  processReading(value) {
+  }
+
+  /**
+   * Decide whether a filtered value is a reading worth reporting. "data", "change", rate, history and limit processing are skipped for values that are not. Subclasses can override this.
+   * @param {number} value - The filtered value
+   * @return {boolean}
+   * @ignore
+   */
+  isValidReading(value) {
+    return true;
+  }
+
+  /**
+   * Build the reading object passed to "data" and "change" listeners when eventFormat is "object". Subclasses can add their own properties.
+   * @param {number} value - The rounded filtered value
+   * @return {object} reading - { value, raw, scaled, level, timestamp, samples }
+   * @ignore
+   */
+  createReading(value) {
+    let level = this.level;
+
+    if (typeof level !== "number") {
+      const scale = this.#state.scale;
+      level = scale ? constrain(fmap(this.#state.median, scale[0], scale[1], 0, 1), 0, 1) : null;
+    }
+
+    return {
+      value,
+      raw: this.#state.raw,
+      scaled: this.scaled,
+      level,
+      timestamp: Date.now(),
+      samples: this.#state.samples.length
+    };
+  }
+
+  /**
+   * Enable or disable a lazy sensor based on whether anything is listening
+   * @access private
+   */
+  listenersChanged(event) {
+    if (this.#state.lazy) {
+      const isListening = this.eventNames().some(name => name !== "error");
+      if (isListening) {
+        this.enable();
+      } else {
+        this.disable();
+      }
+    }
+  }
+
   /**
    * Synchronous read of a sensor.
    * @return {Number} sensor value
@@ -244,61 +554,350 @@ class Sensor extends Withinable {
    * let myValue = sensor.read();
    */
   read() {
-    this.#state.raw = this.io.read();
+    this.#readIO();
     return this.value;
   }
 
+  /**
+   * Take a number of raw readings and return their median. Readings are oversampled and decimated the same way as every other read, so the result is on the same scale as raw.
+   * @param {number} [samples=smoothing] - The number of readings to take
+   * @return {number} The median raw reading
+   * @example
+   * import Sensor from "j5e/sensor";
+   * const sensor = await new Sensor(12);
+   *
+   * const resting = sensor.sample(20);
+   */
+  sample(samples = this.smoothing) {
+    let reads = [];
+
+    for (let i = 0; i < samples; i++) {
+      reads = reads.concat(this.#readIO());
+    }
+
+    return median(reads);
+  }
+
+  /**
+   * Take this interval's reads and update raw
+   * @return {number[]} The raw readings to pass through the filter
+   * @access private
+   */
+  #readIO() {
+    let reads = [];
+
+    if (this.#state.decimate) {
+      // Oversample and decimate: 4^n reads, summed and shifted right n bits
+      let sum = 0;
+      for (let i = 0; i < 4 ** this.#state.decimate; i++) {
+        sum += this.io.read();
+      }
+      reads.push(sum >> this.#state.decimate);
+    } else {
+      for (let i = 0; i < this.#state.oversample; i++) {
+        reads.push(this.io.read());
+      }
+    }
+
+    this.#state.raw = reads.length === 1 ? reads[0] : reads.reduce((sum, read) => sum + read, 0) / reads.length;
+    return reads;
+  }
+
+  /**
+   * Convert a raw reading, passing null through
+   * @access private
+   */
+  #scaleRaw(raw) {
+    return raw === null ? raw : this.convert(raw);
+  }
+
+  /**
+   * Throw if a subclass converts readings itself
+   * @access private
+   */
+  #assertCalibratable() {
+    if (this.convert !== Sensor.prototype.convert) {
+      throw new Error(`${this.constructor.name} converts readings itself and does not support calibration`);
+    }
+  }
+
+  /**
+   * Run part of eventProcessing. An error rethrown by a listener is held until processing has finished so one bad listener cannot leave the sensor half updated.
+   * @access private
+   */
+  #defer(callback) {
+    try {
+      callback();
+    } catch (error) {
+      this.#state.uncaught = this.#state.uncaught || error;
+    }
+  }
+
+  /**
+   * Emit an event from eventProcessing
+   * @access private
+   */
+  #emitDeferred(event, ...rest) {
+    this.#defer(() => this.emit(event, ...rest));
+  }
+
   /**
    * Internal method for processing reads
    * @access private
    */
   eventProcessing() {
-    let err = null;
-    this.#state.raw = this.io.read();
-    let boundary;
+    let reads, filtered;
 
-    this.#state.samples.push(this.value);
+    try {
+      reads = this.#readIO();
+    } catch (error) {
+      this.emitError(error, "read");
+      return;
+    }
 
-    // // Keep the previous calculated value if there were no new readings
-    if (this.#state.samples.length >= this.smoothing) {
-      // Filter the accumulated sample values to reduce analog reading noise
-      this.#state.median = median(this.#state.samples);
-      const roundMedian = Math.round(this.#state.median);
-      this.emit("data", roundMedian);
-
-      // If the filtered (#state.median) value for this interval is at least ± the
-      // configured threshold from last, fire change events
-      if (this.#state.median <= (this.#state.last - this.threshold) || this.#state.median >= (this.#state.last + this.threshold)) {
-        this.emit("change", roundMedian);
-        // Update the instance-local `last` value (only) when a new change event
-        // has been emitted.  For comparison in the next interval
-        this.#state.last = this.#state.median;
+    reads.forEach(read => {
+      const sample = this.#scaleRaw(read);
+      this.#state.samples.push(sample);
+
+      if (this.#state.sliding) {
+        // Drop the oldest samples so the window is never longer than smoothing
+        this.#state.samples.splice(0, this.#state.samples.length - this.smoothing);
       }
 
-      if (this.limit) {
-        if (this.#state.median <= this.limit[0]) {
-          boundary = "lower";
+      // Filter the sample window to reduce analog reading noise
+      filtered = this.#state.filter(this.#state.samples, sample);
+    });
+
+    // // Keep the previous calculated value if there were no new readings
+    if (this.#state.sliding || this.#state.samples.length >= this.smoothing) {
+      this.#state.median = filtered;
+
+      // Subclasses can reject readings, like distances outside a sensor's range
+      if (this.isValidReading(this.#state.median)) {
+        const factor = 10 ** this.#state.precision;
+        const roundMedian = Math.round(this.#state.median * factor) / factor;
+        const eventValue = this.#state.eventFormat === "object" ? this.createReading(roundMedian) : roundMedian;
+        this.#emitDeferred("data", eventValue);
+
+        this.#processRate(this.#state.median);
+
+        if (this.#state.history) {
+          this.#recordHistory(this.#state.median);
         }
-        if (this.#state.median >= this.limit[1]) {
-          boundary = "upper";
+
+        // If the filtered (#state.median) value for this interval is at least ± the
+        // configured threshold from last, fire change events
+        if (this.#state.median <= (this.#state.last - this.threshold) || this.#state.median >= (this.#state.last + this.threshold)) {
+          this.#emitDeferred("change", eventValue);
+          // Update the instance-local `last` value (only) when a new change event
+          // has been emitted.  For comparison in the next interval
+          this.#state.last = this.#state.median;
         }
 
-        if (boundary) {
-          this.emit("limit", {
-            boundary,
-            value: roundMedian
-          });
-          this.emit(`limit:${boundary}`, roundMedian);
+        if (this.limit) {
+          this.#processLimit(this.#state.median, roundMedian);
         }
+
+        this.#defer(() => this.processReading(this.#state.median));
       }
 
       //Reset samples
-      this.#state.samples = [];
+      if (!this.#state.sliding) {
+        this.#state.samples = [];
+      }
+
+    }
+
+    this.#emitDeferred("raw", this.#state.raw);
+
+    const uncaught = this.#state.uncaught;
+    if (uncaught) {
+      this.#state.uncaught = null;
+      throw uncaught;
+    }
+
+  }
+
+  /**
+   * Update the rate of change and emit "rate:rising" or "rate:falling" when
+   * the rate crosses a threshold. They fire again after the rate drops back.
+   * @access private
+   */
+  #processRate(value) {
+    const now = Date.now();
+    const previous = this.#state.previous;
+
+    this.#state.previous = { timestamp: now, value };
+
+    if (!previous || now === previous.timestamp) {
+      return;
+    }
+
+    this.#state.rate = (value - previous.value) / (now - previous.timestamp) * 1000;
+
+    const threshold = this.#state.rateThreshold;
+    if (!threshold) {
+      return;
+    }
+
+    let direction = null;
+    if (typeof threshold.rising === "number" && this.#state.rate >= threshold.rising) {
+      direction = "rising";
+    }
+    if (typeof threshold.falling === "number" && this.#state.rate <= -threshold.falling) {
+      direction = "falling";
+    }
+
+    if (direction !== this.#state.rateDirection) {
+      this.#state.rateDirection = direction;
+      if (direction) {
+        this.#emitDeferred(`rate:${direction}`, this.#state.rate);
+      }
+    }
+  }
+
+  /**
+   * Add a filtered value to the history, drop values that have fallen out
+   * of the window and emit "stats" once per window.
+   * @access private
+   */
+  #recordHistory(value) {
+    const now = Date.now();
+    const history = this.#state.history;
+
+    history.push({ timestamp: now, value });
 
+    if (this.#state.historySize) {
+      history.splice(0, history.length - this.#state.historySize);
     }
 
-    this.emit("raw", this.#state.raw);
+    if (this.#state.historyDuration) {
+      while (history.length && now - history[0].timestamp > this.#state.historyDuration) {
+        history.shift();
+      }
+    }
 
+    if (this.#state.windowStart === null) {
+      this.#state.windowStart = now;
+    }
+    this.#state.windowCount++;
+
+    const isWindowComplete = this.#state.historyDuration ?
+      now - this.#state.windowStart >= this.#state.historyDuration :
+      this.#state.windowCount >= this.#state.historySize;
+
+    if (isWindowComplete) {
+      this.#state.windowCount = 0;
+      this.#state.windowStart = now;
+      this.#emitDeferred("stats", this.stats);
+    }
+  }
+
+  /**
+   * Limit events only fire when the value crosses into a limit region.
+   * "limit:clear" fires when it comes back out past the hysteresis band.
+   * @access private
+   */
+  #processLimit(value, roundValue) {
+    const hysteresis = this.#state.limitHysteresis;
+    let boundary = this.#state.limitBoundary;
+
+    if (
+      (boundary === "lower" && value > this.limit[0] + hysteresis) ||
+      (boundary === "upper" && value < this.limit[1] - hysteresis)
+    ) {
+      this.#state.limitBoundary = null;
+      this.#emitDeferred("limit:clear", {
+        boundary,
+        value: roundValue
+      });
+    }
+
+    if (this.#state.limitBoundary !== null || this.#state.isLatched) {
+      return;
+    }
+
+    boundary = null;
+    if (value <= this.limit[0]) {
+      boundary = "lower";
+    }
+    if (value >= this.limit[1]) {
+      boundary = "upper";
+    }
+
+    if (boundary) {
+      this.#state.limitBoundary = boundary;
+      this.#state.isLatched = this.#state.latch;
+      this.#emitDeferred("limit", {
+        boundary,
+        value: roundValue
+      });
+      this.#emitDeferred(`limit:${boundary}`, roundValue);
+    }
+  }
+
+  /**
+   * Acknowledge a latched limit alarm so that limit events can fire again
+   * @return {Object} instance
+   * @example
+   * import Sensor from "j5e/sensor";
+   * const sensor = await new Sensor({
+   *   pin: 12,
+   *   limit: [100, 900],
+   *   latch: true
+   * });
+   *
+   * sensor.on("limit", data => {
+   *   soundAlarm();
+   * });
+   *
+   * silenceButton.on("close", () => {
+   *   sensor.acknowledge();
+   * });
+   */
+  acknowledge() {
+    this.#state.isLatched = false;
+    return this;
+  }
+
+  /**
+   * Start capturing calibration points from live readings. Each call to capture() pairs the current raw reading with a known reference value. Call apply() to start using the points, and save the result of toJSON() (or JSON.stringify()) to pass as options.calibration later.
+   * @return {object} A calibration session with capture(reference, [samples]), apply() and toJSON() methods and a points array
+   * @example
+   * import Sensor from "j5e/sensor";
+   * const sensor = await new Sensor(12);
+   *
+   * const calibration = sensor.calibrate();
+   *
+   * // Hold a target 10cm away
+   * calibration.capture(10);
+   *
+   * // Hold a target 40cm away
+   * calibration.capture(40);
+   *
+   * calibration.apply();
+   * trace(JSON.stringify(calibration));
+   */
+  calibrate() {
+    this.#assertCalibratable();
+
+    const points = [];
+
+    return {
+      points,
+      capture: (reference, samples = this.smoothing) => {
+        const raw = this.sample(samples);
+        points.push([raw, reference]);
+        return raw;
+      },
+      apply: () => {
+        this.calibration = { points: points.slice() };
+        return this;
+      },
+      toJSON: () => {
+        return { points: points.slice() };
+      }
+    };
   }
 
   /**
@@ -322,6 +921,7 @@ class Sensor extends Withinable {
       return this.#state.scale;
     } else {
       this.isScaled = true;
+      this.#state.isScaled = true;
 
       this.#state.scale = Array.isArray(low) ?
         low : [low, high];
@@ -376,7 +976,7 @@ export default Sensor;
 // from high to low and select the value in the center.
 function median(input) {
   // faster than default comparitor (even for small n)
-  const sorted = input.sort((a, b) => a - b);
+  const sorted = input.slice().sort((a, b) => a - b);
   const len = sorted.length;
   const half = Math.floor(len / 2);
 
@@ -384,3 +984,155 @@ function median(input) {
   // If the length is even, return average of m & m + 1
   return len % 2 ? sorted[half] : (sorted[half - 1] + sorted[half]) / 2;
 };
+
+function mean(input) {
+  return input.reduce((sum, value) => sum + value, 0) / input.length;
+}
+
+// Built-in filters. Each factory returns a function that is passed the
+// sample window and the newest sample and returns the filtered value.
+const filters = {
+  median: {
+    sliding: false,
+    create: () => samples => median(samples)
+  },
+  rollingMedian: {
+    sliding: true,
+    create: () => samples => median(samples)
+  },
+  movingAverage: {
+    sliding: true,
+    create: () => samples => mean(samples)
+  },
+  ema: {
+    sliding: true,
+    create: ({ alpha = 0.5 }) => {
+      let last = null;
+      return (samples, sample) => {
+        last = last === null ? sample : last + alpha * (sample - last);
+        return last;
+      };
+    }
+  },
+  kalman: {
+    sliding: true,
+    create: ({ processNoise = 0.125, measurementNoise = 4 }) => {
+      let estimate = null;
+      let error = 1;
+      return (samples, sample) => {
+        if (estimate === null) {
+          estimate = sample;
+          return estimate;
+        }
+        error += processNoise;
+        const gain = error / (error + measurementNoise);
+        estimate += gain * (sample - estimate);
+        error *= 1 - gain;
+        return estimate;
+      };
+    }
+  },
+  rms: {
+    sliding: false,
+    create: () => samples => Math.sqrt(mean(samples.map(sample => sample * sample)))
+  }
+};
+
+// Turn a filter name, filter options object or user function into a filter function
+function createFilter(source) {
+  let filter;
+
+  if (typeof source === "function") {
+    filter = (samples, sample) => source(samples, sample);
+    filter.sliding = false;
+  } else {
+    const options = typeof source === "string" ? { type: source } : source;
+    const definition = filters[options.type];
+
+    if (!definition) {
+      throw new Error(`Unknown sensor filter "${options.type}"`);
+    }
+
+    filter = definition.create(options);
+    filter.sliding = definition.sliding;
+  }
+
+  filter.source = source;
+  return filter;
+}
+
+// Turn calibration points, polynomial coefficients or a user function into
+// a function that converts a raw reading
+function createCalibration(source) {
+  let calibration;
+
+  if (!source) {
+    return null;
+  }
+
+  if (typeof source === "function") {
+    calibration = raw => source(raw);
+  } else {
+    const points = Array.isArray(source) ? source : source.points;
+
+    if (points) {
+      if (points.length < 2) {
+        throw new Error("Sensor calibration requires at least two points");
+      }
+      // Sort once here, interpolate runs on every sample
+      const sorted = points.slice().sort((a, b) => a[0] - b[0]);
+      calibration = raw => interpolate(raw, sorted);
+    } else if (Array.isArray(source.coefficients)) {
+      // Horner's method: c0 + c1 * raw + c2 * raw^2 ...
+      calibration = raw => source.coefficients.reduceRight((sum, coefficient) => sum * raw + coefficient, 0);
+    } else {
+      throw new Error("Sensor calibration expects points, coefficients or a function");
+    }
+  }
+
+  calibration.source = source;
+  return calibration;
+}
+
+// Summarize a list of timestamped values. The slope is a least squares
+// fit in units per second.
+function statistics(history) {
+  const count = history.length;
+
+  if (count === 0) {
+    return { min: null, max: null, mean: null, stddev: null, slope: null, count };
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let timeSum = 0;
+
+  history.forEach(({ timestamp, value }) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    sum += value;
+    timeSum += timestamp;
+  });
+
+  const mean = sum / count;
+  const timeMean = timeSum / count;
+  let variance = 0;
+  let covariance = 0;
+  let timeVariance = 0;
+
+  history.forEach(({ timestamp, value }) => {
+    variance += (value - mean) ** 2;
+    covariance += (timestamp - timeMean) * (value - mean);
+    timeVariance += (timestamp - timeMean) ** 2;
+  });
+
+  return {
+    min,
+    max,
+    mean,
+    stddev: Math.sqrt(variance / count),
+    slope: timeVariance ? covariance / timeVariance * 1000 : 0,
+    count
+  };
+}
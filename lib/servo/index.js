@@ -42,6 +42,7 @@ class Servo extends Emitter {
    * @param {number} [options.offset=0] - Adjust the position of the servo for trimming
    * @param {boolean} [options.invert=false] - Reverses the direction of rotation
    * @param {boolean} [options.center=false] - Center the servo on instantiation
+   * @param {string} [options.errorPolicy="throw"] - What to do with errors when nothing is listening for "error" ("log", "throw" or "stop")
    * @property {object[]} history - The last five position updates
    * @property {object[]} history.timestamp - Timestamp of position update
    * @property {object[]} history.target - The user requested position
@@ -71,7 +72,7 @@ class Servo extends Emitter {
       options = normalizeParams(options);
 
       const Provider = await getProvider(options, "builtin/pwm");
-      super();
+      super(options);
 
       this.io = new Provider({
         pin: options.pin,
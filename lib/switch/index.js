@@ -6,7 +6,15 @@
  */
 
 import { Emitter } from "j5e/event";
-import { normalizeParams, getProvider } from "j5e/fn";
+import { createDigitalInput, normalizeParams, getProvider } from "j5e/fn";
+
+// Other names that can be used for "close" and "open"
+const aliases = {
+  down: "close",
+  press: "close",
+  up: "open",
+  release: "open"
+};
 
 /**
  * Class representing a switch
@@ -15,14 +23,41 @@ import { normalizeParams, getProvider } from "j5e/fn";
  * @extends module:j5e/event.Emitter
  * @fires Switch#open
  * @fires Switch#close
+ * @fires Switch#change
  */
 class Switch extends Emitter {
 
+  static aliases = aliases;
+
+  #state = {
+    last: null,
+    isPullup: false,
+    isInverted: false,
+    invert: false,
+    input: null
+  };
+
   /**
    * Instantiate a switch
+   * The "close" event can also be listened for as "press" or "down", and "open" as "release" or "up". "change" fires after each with the new isClosed value.
    * @param {object} options - A pin number, pin identifier or a complete IO options object (See {@tutorial C-INSTANTIATING}
+   * @param {string} [options.type="NO"] - "NO" (Normally Open) or "NC" (Normally Closed). A normally closed switch reads high when it is open.
+   * @param {boolean} [options.invert=false] - Inverts the open and closed values
+   * @param {boolean} [options.isPullup=false] - Use the internal pull-up resistor. The switch is wired to ground and reads low when closed.
+   * @param {boolean} [options.isPulldown=false] - Use the internal pull-down resistor
+   * @param {(number|string|object)} [options.debounce=0] - A time in ms, or a debounce strategy: "time" waits for the input to stop changing, "integrator" takes a run of agreeing samples and "lockout" fires on the first edge and ignores bounces. Pass an object for strategy options, e.g. { type: "lockout", time: 50 }. Switches are not debounced by default.
+   * @param {boolean} [options.poll=false] - Read the pin on a timer instead of using edge callbacks. Switches on providers that cannot signal edges (I2C expanders, remote IO) are polled automatically.
+   * @param {number} [options.pollInterval=10] - The time between reads in ms when polling
+   * @param {string} [options.errorPolicy="throw"] - What to do with errors when nothing is listening for "error" ("log", "throw" or "stop")
    * @property {boolean} isClosed - True if the switch is closed (current is flowing)
    * @property {boolean} isOpen - True if the switch is open (current is not flowing)
+   * @property {string} type - "NO" or "NC"
+   * @property {boolean} invert - Get/Set inversion of the open and closed values
+   * @property {number} closedValue - Get the raw closedValue (depends on type, invert, isPullup and isPulldown)
+   * @property {number} openValue - Get the raw openValue (depends on type, invert, isPullup and isPulldown)
+   * @property {object} debounce - Get/Set the debounce strategy. Returns { type, time, samples, interval }.
+   * @property {boolean} isPolling - True if the pin is read on a timer instead of with edge callbacks
+   * @property {number} pollInterval - Get/Set the time between reads in ms when polling
    * @example
    * <caption>Use a switch to control an LED</caption>
    * import Switch from "j5e/switch";
@@ -38,40 +73,168 @@ class Switch extends Emitter {
    * mySwitch.on("close", function() {
    *   led.on();
    * });
+   *
+   * @example
+   * <caption>A switch wired to ground using the internal pull-up</caption>
+   * import Switch from "j5e/switch";
+   *
+   * const mySwitch = await new Switch({
+   *   pin: 12,
+   *   isPullup: true
+   * });
+   *
+   * mySwitch.on("change", isClosed => trace(`${isClosed ? "closed" : "open"}\n`));
    */
   constructor(options) {
     return (async() => {
       options = normalizeParams(options);
-      super();
+      super(options);
 
       const Provider = await getProvider(options, "builtin/digital");
-      this.io = new Provider({
+
+      let mode = Provider.Input;
+      if (options.isPullup) {
+        mode = Provider.InputPullUp;
+      }
+      if (options.isPulldown) {
+        mode = Provider.InputPullDown;
+      }
+
+      this.#state.input = createDigitalInput(Provider, {
         pin: options.pin,
-        mode: Provider.Input,
-        edge: Provider.Rising | Provider.Falling,
-        onReadable: () => {
-          this.emit(this.isOpen ? "open" : "close");
-        }
+        mode,
+        poll: options.poll,
+        pollInterval: options.pollInterval,
+        debounce: options.debounce || 0
+      }, {
+        onChange: value => this.processRead(value),
+        onError: error => this.emitError(error, "read")
       });
 
+      this.io = this.#state.input.io;
+
       Object.defineProperties(this, {
         isClosed: {
           get: () => {
-            return Boolean(this.io.read());
+            return this.io.read() === this.closedValue;
           }
         },
         isOpen: {
           get: () => {
-            return !Boolean(this.io.read());
+            return this.io.read() !== this.closedValue;
+          }
+        },
+        type: {
+          get: () => {
+            return this.#state.isInverted ? "NC" : "NO";
+          }
+        },
+        invert: {
+          get: () => {
+            return this.#state.invert;
+          },
+          set: (newInvert) => {
+            this.#state.invert = Boolean(newInvert);
+          }
+        },
+        closedValue: {
+          get: () => {
+            return 1 ^ this.#state.isPullup ^ this.#state.isInverted ^ this.#state.invert;
+          }
+        },
+        openValue: {
+          get: () => {
+            return 0 ^ this.#state.isPullup ^ this.#state.isInverted ^ this.#state.invert;
+          }
+        },
+        isPolling: {
+          get: () => {
+            return this.#state.input.isPolling;
+          }
+        },
+        pollInterval: {
+          get: () => {
+            return this.#state.input.pollInterval;
+          },
+          set: (newPollInterval) => {
+            this.#state.input.pollInterval = newPollInterval;
+          }
+        },
+        debounce: {
+          get: () => {
+            return this.#state.input.debounce;
+          },
+          set: (newDebounce) => {
+            this.#state.input.debounce = newDebounce;
           }
         }
       });
 
+      if (options.type === "NC") {
+        this.#state.isInverted = true;
+      }
+      this.#state.isPullup = Boolean(options.isPullup);
+      this.invert = options.invert;
+
       return this;
     })();
 
   }
 
+  /**
+   * Start watching the switch after disable()
+   * @return {Switch} instance
+   * @example
+   * import Switch from "j5e/switch";
+   * const mySwitch = await new Switch(12);
+   *
+   * mySwitch.disable();
+   * // Switch events resume after one second
+   * timer.setTimeout(() => mySwitch.enable(), 1000);
+   */
+  enable() {
+    this.#state.input.enable();
+    return this;
+  }
+
+  /**
+   * Stop watching the switch. Edges are ignored and polling stops.
+   * @return {Switch} instance
+   */
+  disable() {
+    this.#state.input.disable();
+    return this;
+  }
+
+  /**
+   * Emit "open" or "close" (and "change") when the switch state changes
+   * @param {number} [value] - A debounced input value. The input is read if this is not passed.
+   * @ignore
+   */
+  processRead(value) {
+    let isOpen;
+
+    if (typeof value === "undefined") {
+      try {
+        isOpen = this.isOpen;
+      } catch (error) {
+        this.emitError(error, "read");
+        return;
+      }
+    } else {
+      isOpen = value !== this.closedValue;
+    }
+
+    // Debouncing can settle on the state we already reported
+    if (isOpen === this.#state.last) {
+      return;
+    }
+    this.#state.last = isOpen;
+
+    this.emit(isOpen ? "open" : "close");
+    this.emit("change", !isOpen);
+  }
+
 }
 
 export default Switch;
@@ -0,0 +1,172 @@
+/**
+ * Class Thermometer
+ * @module j5e/thermometer
+ * @requires module:j5e/sensor
+ * @requires module:j5e/fn
+ */
+
+import Sensor from "j5e/sensor";
+import { fullScaleRatio, toFixed, normalizeParams } from "j5e/fn";
+
+/**
+ * Class representing an analog thermometer
+ * @classdesc The Thermometer class converts analog readings from TMP36, LM35 and NTC thermistor sensors to temperatures. Sensor values, thresholds and limits are in degrees celsius.
+ * @async
+ * @inheritdoc
+ * @extends module:j5e/sensor~Sensor
+ * @fires data
+ * @fires change
+ */
+class Thermometer extends Sensor {
+
+  /**
+   * Instantiate a thermometer
+   * @param {object} options - A pin number, pin identifier or a complete IO options object (See {@tutorial C-INSTANTIATING}
+   * @param {string} [options.controller="TMP36"] - "TMP36", "LM35" or "NTC"
+   * @param {number} [options.aref=3.3] - The voltage of a full scale reading
+   * @param {number} [options.resistor=10000] - (NTC) The divider resistor in ohms
+   * @param {string} [options.position="bottom"] - (NTC) "bottom" when the thermistor is between the pin and ground, "top" when it is between the supply and the pin
+   * @param {number} [options.nominal=10000] - (NTC) The thermistor's resistance in ohms at nominalTemperature
+   * @param {number} [options.nominalTemperature=25] - (NTC) The temperature in celsius for nominal
+   * @param {number} [options.beta=3950] - (NTC) The thermistor's Beta coefficient
+   * @param {number[]} [options.steinhart] - (NTC) Steinhart-Hart coefficients [A, B, C]. When present these are used instead of beta.
+   * @param {number} [options.threshold=1] - The minimum change in celsius required to emit a "change" event
+   * @param {number} [options.precision=2] - The number of decimal places in "data" and "change" event values
+   * @property {number} celsius - Get the temperature in celsius to two decimal places
+   * @property {number} fahrenheit - Get the temperature in fahrenheit to two decimal places
+   * @property {number} kelvin - Get the temperature in kelvin to two decimal places
+   * @property {string} controller - The sensor type
+   * @example
+   * <caption>Use a TMP36</caption>
+   * import Thermometer from "j5e/thermometer";
+   *
+   * const thermometer = await new Thermometer(12);
+   *
+   * thermometer.on("change", () => {
+   *   trace(`${thermometer.fahrenheit}°F\n`);
+   * });
+   *
+   * @example
+   * <caption>Use a 10kΩ NTC thermistor with a 10kΩ resistor to the supply</caption>
+   * import Thermometer from "j5e/thermometer";
+   *
+   * const thermometer = await new Thermometer({
+   *   pin: 12,
+   *   controller: "NTC",
+   *   beta: 3435,
+   *   threshold: 0.5
+   * });
+   *
+   * thermometer.within([68, 77], "fahrenheit", {
+   *   enter: () => trace("Comfortable\n"),
+   *   exit: () => trace("Uncomfortable\n")
+   * });
+   */
+  constructor(options) {
+    return (async() => {
+      options = Object.assign({ precision: 2 }, normalizeParams(options));
+
+      const controller = String(options.controller || "TMP36").toUpperCase();
+
+      if (!controllers[controller]) {
+        throw new Error(`Unknown thermometer controller "${options.controller}". Use "TMP36", "LM35" or "NTC"`);
+      }
+
+      const sensor = await super(options);
+      states.set(sensor, Object.assign({ aref: 3.3 }, controllerDefaults[controller] || {}, options, { controller }));
+
+      Object.defineProperties(sensor, {
+        controller: {
+          get() {
+            return controller;
+          }
+        },
+        celsius: {
+          get() {
+            return this.value === null ? null : toFixed(this.value, 2);
+          }
+        },
+        fahrenheit: {
+          get() {
+            return this.value === null ? null : toFixed(this.value * 9 / 5 + 32, 2);
+          }
+        },
+        kelvin: {
+          get() {
+            return this.value === null ? null : toFixed(this.value + 273.15, 2);
+          }
+        }
+      });
+
+      return sensor;
+    })();
+  }
+
+  /**
+   * Convert a raw reading to degrees celsius
+   * @ignore
+   */
+  convert(raw) {
+    const settings = states.get(this);
+    return controllers[settings.controller](fullScaleRatio(raw, this.resolution), settings);
+  }
+
+  /**
+   * Adds celsius, fahrenheit and kelvin to reading objects
+   * @ignore
+   */
+  createReading(value) {
+    const reading = super.createReading(value);
+    reading.celsius = this.celsius;
+    reading.fahrenheit = this.fahrenheit;
+    reading.kelvin = this.kelvin;
+    return reading;
+  }
+
+}
+
+export default Thermometer;
+
+const states = new WeakMap();
+
+const controllerDefaults = {
+  NTC: {
+    resistor: 10000,
+    position: "bottom",
+    nominal: 10000,
+    nominalTemperature: 25,
+    beta: 3950
+  }
+};
+
+// Convert a reading (as a fraction of full scale) to celsius
+const controllers = {
+
+  // 10mV/°C with a 500mV offset
+  TMP36(ratio, settings) {
+    return (ratio * settings.aref - 0.5) * 100;
+  },
+
+  // 10mV/°C
+  LM35(ratio, settings) {
+    return ratio * settings.aref * 100;
+  },
+
+  NTC(ratio, settings) {
+    const resistance = settings.position === "top" ?
+      settings.resistor * (1 - ratio) / ratio :
+      settings.resistor * ratio / (1 - ratio);
+    const logR = Math.log(resistance);
+    let inverseKelvin;
+
+    if (Array.isArray(settings.steinhart)) {
+      const [a, b, c] = settings.steinhart;
+      inverseKelvin = a + b * logR + c * logR * logR * logR;
+    } else {
+      inverseKelvin = 1 / (settings.nominalTemperature + 273.15) + Math.log(resistance / settings.nominal) / settings.beta;
+    }
+
+    return 1 / inverseKelvin - 273.15;
+  }
+
+};
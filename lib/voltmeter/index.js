@@ -0,0 +1,103 @@
+/**
+ * Class Voltmeter
+ * @module j5e/voltmeter
+ * @requires module:j5e/sensor
+ * @requires module:j5e/fn
+ */
+
+import Sensor from "j5e/sensor";
+import { toFixed, normalizeParams } from "j5e/fn";
+
+/**
+ * Class representing a voltmeter
+ * @classdesc The Voltmeter class measures voltage through an optional resistor divider. Sensor values, thresholds and limits are in volts.
+ * @async
+ * @inheritdoc
+ * @extends module:j5e/sensor~Sensor
+ * @fires data
+ * @fires change
+ */
+class Voltmeter extends Sensor {
+
+  /**
+   * Instantiate a voltmeter
+   * @param {object} options - A pin number, pin identifier or a complete IO options object (See {@tutorial C-INSTANTIATING}
+   * @param {number} [options.aref=3.3] - The voltage of a full scale reading
+   * @param {number} [options.ratio=1] - The divider ratio (input voltage / pin voltage)
+   * @param {number[]} [options.resistors] - The divider's [top, bottom] resistors in ohms. Used to calculate ratio.
+   * @param {number} [options.threshold=0.1] - The minimum change in volts required to emit a "change" event
+   * @param {number} [options.precision=2] - The number of decimal places in "data" and "change" event values
+   * @property {number} volts - Get the voltage to two decimal places
+   * @property {number} aref - Get/Set the voltage of a full scale reading
+   * @property {number} ratio - Get/Set the divider ratio
+   * @example
+   * <caption>Measure up to 13.2V through a 30kΩ/10kΩ divider</caption>
+   * import Voltmeter from "j5e/voltmeter";
+   *
+   * const voltmeter = await new Voltmeter({
+   *   pin: 12,
+   *   resistors: [30000, 10000]
+   * });
+   *
+   * voltmeter.on("change", volts => {
+   *   trace(`${volts}V\n`);
+   * });
+   */
+  constructor(options) {
+    return (async() => {
+      options = Object.assign({ threshold: 0.1, precision: 2 }, normalizeParams(options));
+
+      const sensor = await super(options);
+      const state = {
+        aref: options.aref || 3.3,
+        ratio: options.ratio || 1
+      };
+      states.set(sensor, state);
+
+      if (Array.isArray(options.resistors)) {
+        const [top, bottom] = options.resistors;
+        state.ratio = (top + bottom) / bottom;
+      }
+
+      Object.defineProperties(sensor, {
+        volts: {
+          get() {
+            return this.value === null ? null : toFixed(this.value, 2);
+          }
+        },
+        aref: {
+          get() {
+            return state.aref;
+          },
+          set(newAref) {
+            state.aref = newAref;
+          }
+        },
+        ratio: {
+          get() {
+            return state.ratio;
+          },
+          set(newRatio) {
+            state.ratio = newRatio;
+          }
+        }
+      });
+
+      return sensor;
+    })();
+  }
+
+  /**
+   * Convert a raw reading to volts
+   * @ignore
+   */
+  convert(raw) {
+    const state = states.get(this);
+    return raw / this.resolution * state.aref * state.ratio;
+  }
+
+}
+
+export default Voltmeter;
+
+const states = new WeakMap();
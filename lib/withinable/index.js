@@ -13,17 +13,38 @@ import { Emitter } from "j5e/event";
  */
 class Withinable extends Emitter {
 
-  constructor() {
-    super();
+  constructor(options) {
+    super(options);
   }
 
   /**
-   * Fire a callback when the value is within a certain range
+   * Watch for the value to be within a certain range. The callback fires on every "data" event while the value is in range. The enter and exit callbacks (and the "enter" and "exit" events) fire only when the value crosses into or out of the range.
    * @param {number[]} range - The upper and lower ends of the range to watch
-   * @param {string} unit - The property to test
-   * @param {function} callback - A callback to run when the event is fired.
+   * @param {string} [unit="value"] - The property to test
+   * @param {function} [callback] - A callback to run on every "data" event while the value is in range
+   * @param {object} [options] - Transition options
+   * @param {function} [options.enter] - A callback to run when the value enters the range
+   * @param {function} [options.exit] - A callback to run when the value leaves the range
+   * @param {number} [options.hysteresis=0] - How far past either end of the range the value must go before it is considered to have left
+   * @param {number} [options.dwell=0] - How long in milliseconds the value must stay in (or out of) the range before enter (or exit) fires
+   * @return {object} A handle with a cancel() method and an inside property
+   * @fires enter
+   * @fires exit
+   * @example
+   * const handle = thermometer.within([20, 25], "celsius", {
+   *   dwell: 5000,
+   *   enter: value => trace(`Comfortable at ${value}\n`),
+   *   exit: value => trace(`Uncomfortable at ${value}\n`)
+   * });
+   *
+   * // Stop watching
+   * handle.cancel();
    */
-  within(range, unit, callback) {
+  within(range, ...rest) {
+    let unit = "value";
+    let callback = null;
+    let options = {};
+
     if (typeof range === "number") {
       range = [0, range];
     }
@@ -32,23 +53,77 @@ class Withinable extends Emitter {
       throw new Error("within expected a range array");
     }
 
-    if (typeof unit === "function") {
-      callback = unit;
-      unit = "value";
-    }
+    rest.forEach(arg => {
+      if (typeof arg === "string") {
+        unit = arg;
+      }
+      if (typeof arg === "function") {
+        callback = arg;
+      }
+      if (arg && typeof arg === "object") {
+        options = arg;
+      }
+    });
 
-    if (typeof this[unit] === "undefined") {
-      return this;
-    }
+    const hysteresis = options.hysteresis || 0;
+    const dwell = options.dwell || 0;
+    let inside = false;
+    let since = null;
+
+    const handle = {
+      cancel: () => {
+        this.removeListener("data", onData);
+      },
+      get inside() {
+        return inside;
+      }
+    };
 
-    this.on("data", () => {
+    const onData = () => {
       const value = this[unit];
-      if (value >= range[0] && value <= range[1]) {
+
+      // Devices report null when they have no valid reading
+      if (value === null) {
+        return;
+      }
+
+      const isInRange = inside ?
+        value >= range[0] - hysteresis && value <= range[1] + hysteresis :
+        value >= range[0] && value <= range[1];
+
+      if (callback && value >= range[0] && value <= range[1]) {
         callback.call(this, null, value);
       }
-    });
 
-    return this;
+      if (isInRange === inside) {
+        since = null;
+        return;
+      }
+
+      if (since === null) {
+        since = Date.now();
+      }
+
+      if (Date.now() - since >= dwell) {
+        inside = isInRange;
+        since = null;
+
+        const transition = inside ? "enter" : "exit";
+        if (typeof options[transition] === "function") {
+          options[transition].call(this, value);
+        }
+        this.emit(transition, { range, unit, value });
+      }
+    };
+
+    // There is nothing to watch, so cancel() has nothing to remove
+    if (typeof this[unit] === "undefined") {
+      return handle;
+    }
+
+    this.on("data", onData);
+
+    return handle;
   }
 }
 
@@ -0,0 +1,172 @@
+import assert from "assert";
+import sinon from "sinon";
+import { Analog } from "@dtex/mock-io";
+import Ammeter from "j5e/ammeter";
+import Sensor from "j5e/sensor";
+
+describe("Ammeter", function() {
+
+  describe("Instantiation", function() {
+
+    it("should reject the calibration option", async function() {
+      await assert.rejects(async() => {
+        await new Ammeter({
+          pin: 17,
+          io: Analog,
+          calibration: [[0, 0], [1023, 100]]
+        });
+      }, /Ammeter converts readings itself/);
+    });
+
+    it("should reject calibration after instantiation", async function() {
+      const ammeter = await new Ammeter({
+        pin: 17,
+        io: Analog
+      });
+
+      assert.throws(() => {
+        ammeter.calibration = [[0, 0], [1023, 100]];
+      }, /Ammeter converts readings itself/);
+      assert.throws(() => ammeter.calibrate(), /Ammeter converts readings itself/);
+      assert.equal(ammeter.calibration, null);
+      ammeter.disable();
+    });
+
+    it("should return a valid Ammeter instance when passed an options object", async function() {
+      const ammeter = await new Ammeter({
+        pin: 17,
+        io: Analog
+      });
+      assert.equal(ammeter instanceof Ammeter, true);
+      assert.equal(ammeter instanceof Sensor, true);
+      assert.equal(ammeter.controller, "ACS712-05B");
+      assert.equal(ammeter.sensitivity, 0.185);
+      assert.equal(ammeter.amps, null);
+      ammeter.disable();
+    });
+
+    it("should reject an unknown controller", async function() {
+      await assert.rejects(async() => {
+        await new Ammeter({
+          pin: 17,
+          io: Analog,
+          controller: "INA219"
+        });
+      }, /Unknown ammeter controller/);
+    });
+
+  });
+
+  describe("Options", function() {
+
+    describe("controller", function() {
+
+      it("should use the controller's sensitivity", async function() {
+        const ammeter = await new Ammeter({
+          pin: 17,
+          io: Analog,
+          controller: "acs712-20a",
+          zero: 512
+        });
+
+        ammeter.io.value = 543;
+        ammeter.read();
+        assert.equal(ammeter.sensitivity, 0.1);
+        assert.equal(ammeter.amps, 1);
+        ammeter.disable();
+      });
+
+    });
+
+    describe("ratio", function() {
+
+      it("should default zero to half of vcc through the divider", async function() {
+        const ammeter = await new Ammeter({
+          pin: 17,
+          io: Analog,
+          ratio: 1.5
+        });
+
+        assert.equal(ammeter.zero, 517);
+        ammeter.io.value = 600;
+        ammeter.read();
+        assert.equal(ammeter.amps, 2.171);
+        ammeter.disable();
+      });
+
+    });
+
+    describe("rms", function() {
+
+      it("should report the RMS current of each window", async function() {
+        const clock = sinon.useFakeTimers();
+        const dataSpy = sinon.spy();
+        const ammeter = await new Ammeter({
+          pin: 17,
+          io: Analog,
+          controller: "ACS712-20A",
+          zero: 512,
+          rms: true,
+          oversample: 10,
+          smoothing: 10
+        });
+
+        // A square wave of +/- 1A
+        let count = 0;
+        ammeter.io.read = () => (count++ % 2 ? 481 : 543);
+        ammeter.on("data", dataSpy);
+
+        clock.tick(100);
+        assert.equal(ammeter.filter, "rms");
+        assert.equal(dataSpy.callCount, 1);
+        assert.equal(dataSpy.getCall(0).args[0], 1);
+        assert.equal(ammeter.amps, 1);
+
+        clock.restore();
+        ammeter.disable();
+      });
+
+    });
+
+  });
+
+  describe("Methods", function() {
+
+    describe("calibrateZero", function() {
+
+      it("should use the current reading as zero amps", async function() {
+        const ammeter = await new Ammeter({
+          pin: 17,
+          io: Analog,
+          controller: "ACS712-20A"
+        });
+
+        ammeter.io.value = 530;
+        assert.equal(ammeter.calibrateZero(), 530);
+        assert.equal(ammeter.zero, 530);
+
+        ammeter.read();
+        assert.equal(ammeter.amps, 0);
+        ammeter.disable();
+      });
+
+      it("should use decimated readings", async function() {
+        const ammeter = await new Ammeter({
+          pin: 17,
+          io: Analog,
+          decimate: 1
+        });
+
+        ammeter.io.value = 530;
+        assert.equal(ammeter.calibrateZero(), 1060);
+
+        ammeter.read();
+        assert.equal(ammeter.amps, 0);
+        ammeter.disable();
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,197 @@
+import assert from "assert";
+import sinon from "sinon";
+import { Analog } from "@dtex/mock-io";
+import Battery from "j5e/battery";
+import Voltmeter from "j5e/voltmeter";
+
+describe("Battery", function() {
+
+  describe("Instantiation", function() {
+
+    it("should reject the calibration option", async function() {
+      await assert.rejects(async() => {
+        await new Battery({
+          pin: 17,
+          io: Analog,
+          calibration: [[0, 0], [1023, 100]]
+        });
+      }, /Battery converts readings itself/);
+    });
+
+    it("should reject calibration after instantiation", async function() {
+      const battery = await new Battery({
+        pin: 17,
+        io: Analog
+      });
+
+      assert.throws(() => {
+        battery.calibration = [[0, 0], [1023, 100]];
+      }, /Battery converts readings itself/);
+      assert.throws(() => battery.calibrate(), /Battery converts readings itself/);
+      assert.equal(battery.calibration, null);
+      battery.disable();
+    });
+
+    it("should return a valid Battery instance when passed an options object", async function() {
+      const battery = await new Battery({
+        pin: 17,
+        io: Analog
+      });
+      assert.equal(battery instanceof Battery, true);
+      assert.equal(battery instanceof Voltmeter, true);
+      assert.equal(battery.chemistry, "LiPo");
+      assert.equal(battery.cells, 1);
+      assert.equal(battery.low, 20);
+      assert.equal(battery.critical, 5);
+      assert.equal(battery.percent, null);
+      battery.disable();
+    });
+
+    it("should reject an unknown chemistry", async function() {
+      await assert.rejects(async() => {
+        await new Battery({
+          pin: 17,
+          io: Analog,
+          chemistry: "lead acid"
+        });
+      }, /Unknown battery chemistry/);
+    });
+
+  });
+
+  describe("Options", function() {
+
+    describe("chemistry", function() {
+
+      it("should use the LiPo curve", async function() {
+        const battery = await new Battery({
+          pin: 17,
+          io: Analog,
+          aref: 5
+        });
+
+        // 3.84V
+        battery.io.value = 786;
+        battery.read();
+        assert.equal(battery.percent, 51);
+        battery.disable();
+      });
+
+      it("should use the NiMH curve", async function() {
+        const battery = await new Battery({
+          pin: 17,
+          io: Analog,
+          chemistry: "nimh",
+          cells: 4
+        });
+
+        // 4.8V through a 2:1 divider
+        battery.ratio = 2;
+        battery.io.value = 744;
+        battery.read();
+        assert.equal(battery.chemistry, "NiMH");
+        assert.equal(battery.percent, 40);
+        battery.disable();
+      });
+
+      it("should use the alkaline curve", async function() {
+        const battery = await new Battery({
+          pin: 17,
+          io: Analog,
+          chemistry: "alkaline",
+          cells: 2
+        });
+
+        // 2.52V
+        battery.io.value = 781;
+        battery.read();
+        assert.equal(battery.percent, 50);
+        battery.disable();
+      });
+
+      it("should accept an unsorted discharge curve", async function() {
+        const battery = await new Battery({
+          pin: 17,
+          io: Analog,
+          curve: [[3, 100], [1, 0]]
+        });
+
+        battery.io.value = 620;
+        battery.read();
+        assert.equal(battery.percent, 50);
+        battery.disable();
+      });
+
+    });
+
+    describe("curve", function() {
+
+      it("should use a custom discharge curve", async function() {
+        const battery = await new Battery({
+          pin: 17,
+          io: Analog,
+          curve: [[1, 0], [3, 100]]
+        });
+
+        battery.io.value = 620;
+        battery.read();
+        assert.equal(battery.chemistry, "custom");
+        assert.equal(battery.percent, 50);
+        battery.disable();
+      });
+
+    });
+
+  });
+
+  describe("Events", function() {
+
+    it("should emit low and critical once as the charge falls", async function() {
+      const clock = sinon.useFakeTimers();
+      const lowSpy = sinon.spy();
+      const criticalSpy = sinon.spy();
+      const battery = await new Battery({
+        pin: 17,
+        io: Analog,
+        aref: 5
+      });
+
+      battery.on("low", lowSpy);
+      battery.on("critical", criticalSpy);
+
+      // 3.84V 50%
+      battery.io.value = 786;
+      clock.tick(1000);
+      assert.equal(lowSpy.callCount, 0);
+
+      // 3.73V 20%
+      battery.io.value = 763;
+      clock.tick(2000);
+      assert.equal(lowSpy.callCount, 1);
+      assert.equal(lowSpy.getCall(0).args[0], 20);
+      assert.equal(battery.isLow, true);
+
+      // 3.6V
+      battery.io.value = 737;
+      clock.tick(2000);
+      assert.equal(lowSpy.callCount, 1);
+      assert.equal(criticalSpy.callCount, 1);
+      assert.equal(battery.isCritical, true);
+
+      // Charging again
+      battery.io.value = 786;
+      clock.tick(1000);
+      assert.equal(battery.isLow, false);
+      assert.equal(battery.isCritical, false);
+
+      battery.io.value = 763;
+      clock.tick(1000);
+      assert.equal(lowSpy.callCount, 2);
+
+      clock.restore();
+      battery.disable();
+    });
+
+  });
+
+});
@@ -5,6 +5,28 @@ import chai from "chai";
 import { Digital } from "@dtex/mock-io";
 import Button from "j5e/button";
 
+// A digital provider without edge callbacks, like an I2C expander
+class PolledDigital extends Digital {
+  constructor(options) {
+    if (typeof options.edge !== "undefined") {
+      throw new Error("Edge callbacks are not supported");
+    }
+    super(options);
+  }
+
+  write(value) {
+    this.value = value;
+  }
+}
+
+// Hold the button down for ms milliseconds (after the debounce) and let it go
+function tap(button, clock, ms = 50) {
+  button.io.write(1);
+  clock.tick(ms);
+  button.io.write(0);
+  clock.tick(10);
+}
+
 describe("Button", function() {
 
   describe("Instantiation", function() {
@@ -40,6 +62,141 @@ describe("Button", function() {
         });
       });
 
+      describe("poll", function() {
+
+        it("should poll a provider that cannot signal edges", async function() {
+          const clock = sinon.useFakeTimers();
+          const button = await new Button({
+            pin: 13,
+            io: PolledDigital,
+            pollInterval: 5,
+            debounce: 0
+          });
+
+          const closeListener = sinon.stub();
+          const openListener = sinon.stub();
+          button.on("close", closeListener);
+          button.on("open", openListener);
+
+          assert.equal(button.isPolling, true);
+          assert.equal(button.pollInterval, 5);
+
+          button.io.write(1);
+          assert.equal(closeListener.callCount, 0);
+          clock.tick(5);
+          assert.equal(closeListener.callCount, 1);
+
+          button.io.write(0);
+          clock.tick(5);
+          assert.equal(openListener.callCount, 1);
+
+          button.disable();
+          clock.restore();
+        });
+
+        it("should poll when the poll option is true", async function() {
+          const clock = sinon.useFakeTimers();
+          const button = await new Button({
+            pin: 13,
+            io: Digital,
+            poll: true
+          });
+
+          assert.equal(button.isPolling, true);
+          assert.equal(button.io.edge, 0);
+
+          button.disable();
+          clock.restore();
+        });
+
+        it("should debounce polled reads", async function() {
+          const clock = sinon.useFakeTimers();
+          const button = await new Button({
+            pin: 13,
+            io: PolledDigital,
+            debounce: 20
+          });
+
+          const changeListener = sinon.stub();
+          button.on("change", changeListener);
+
+          button.io.write(1);
+          clock.tick(10);
+          button.io.write(0);
+          clock.tick(10);
+          button.io.write(1);
+          clock.tick(10);
+          assert.equal(changeListener.callCount, 0);
+
+          clock.tick(20);
+          assert.deepEqual(changeListener.args, [[true]]);
+
+          button.disable();
+          clock.restore();
+        });
+
+      });
+
+      describe("debounce", function() {
+
+        it("should debounce 7ms by time by default", async function() {
+          const button = await new Button({
+            pin: 13,
+            io: Digital
+          });
+
+          assert.equal(button.debounce.type, "time");
+          assert.equal(button.debounce.time, 7);
+        });
+
+        it("should settle on a run of agreeing samples with an \"integrator\" strategy", async function() {
+          const clock = sinon.useFakeTimers();
+          const button = await new Button({
+            pin: 13,
+            io: Digital,
+            debounce: { type: "integrator", samples: 4, interval: 2 }
+          });
+
+          const closeListener = sinon.stub();
+          button.on("close", closeListener);
+
+          button.io.write(1);
+          clock.tick(4);
+          button.io.write(0);
+          clock.tick(2);
+          button.io.write(1);
+          clock.tick(4);
+          assert.equal(closeListener.callCount, 0);
+
+          clock.tick(2);
+          assert.equal(closeListener.callCount, 1);
+
+          button.io.write(0);
+          clock.tick(20);
+          clock.restore();
+        });
+
+        it("should emit right away when debounce is \"none\"", async function() {
+          const button = await new Button({
+            pin: 13,
+            io: Digital,
+            debounce: "none"
+          });
+
+          const closeListener = sinon.stub();
+          const openListener = sinon.stub();
+          button.on("close", closeListener);
+          button.on("open", openListener);
+
+          button.io.write(1);
+          button.io.write(0);
+
+          assert.equal(closeListener.callCount, 1);
+          assert.equal(openListener.callCount, 1);
+        });
+
+      });
+
       describe("isPullup", function() {
 
         it("should invert state when the isPullup option is true", async function() {
@@ -362,6 +519,114 @@ describe("Button", function() {
 
   });
 
+  describe("Methods", function() {
+
+    describe("disable", function() {
+
+      it("should ignore edges until enabled", async function() {
+        const button = await new Button({
+          pin: 13,
+          io: Digital,
+          debounce: 0
+        });
+
+        const changeListener = sinon.stub();
+        button.on("change", changeListener);
+
+        button.disable();
+        button.io.write(1);
+        button.io.write(0);
+        assert.equal(changeListener.callCount, 0);
+
+        button.enable();
+        button.io.write(1);
+        assert.deepEqual(changeListener.args, [[true]]);
+      });
+
+      it("should not emit a debounced edge after being disabled", async function() {
+        const clock = sinon.useFakeTimers();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        const closeListener = sinon.stub();
+        button.on("close", closeListener);
+
+        button.io.write(1);
+        button.disable();
+        clock.tick(50);
+        assert.equal(closeListener.callCount, 0);
+
+        clock.restore();
+      });
+
+      it("should stop \"hold\" events when disabled while held", async function() {
+        const clock = sinon.useFakeTimers();
+        const button = await new Button({
+          pin: 13,
+          io: Digital,
+          debounce: 0,
+          holdtime: 500,
+          holdRepeat: 100
+        });
+
+        const holdListener = sinon.stub();
+        const clickListener = sinon.stub();
+        button.on("hold", holdListener);
+        button.on("click", clickListener);
+
+        button.io.write(1);
+        clock.tick(600);
+        assert.equal(holdListener.callCount, 2);
+
+        button.disable();
+        clock.tick(5000);
+        assert.equal(holdListener.callCount, 2);
+
+        button.enable();
+        button.io.write(0);
+        button.io.write(1);
+        clock.tick(50);
+        button.io.write(0);
+        button.disable();
+        clock.tick(1000);
+        assert.equal(clickListener.callCount, 0);
+
+        clock.restore();
+      });
+
+      it("should stop and restart polling", async function() {
+        const clock = sinon.useFakeTimers();
+        const button = await new Button({
+          pin: 13,
+          io: PolledDigital,
+          debounce: 0
+        });
+
+        const changeListener = sinon.stub();
+        button.on("change", changeListener);
+
+        button.disable();
+        button.io.write(1);
+        clock.tick(50);
+        button.io.write(0);
+        clock.tick(50);
+        assert.equal(changeListener.callCount, 0);
+
+        button.enable();
+        button.io.write(1);
+        clock.tick(10);
+        assert.deepEqual(changeListener.args, [[true]]);
+
+        button.disable();
+        clock.restore();
+      });
+
+    });
+
+  });
+
   describe("Events", function() {
 
     describe("close", function() {
@@ -454,6 +719,274 @@ describe("Button", function() {
         assert.equal(openListener.callCount, 3);
         clock.restore();
       });
+
+      it("should pass the press duration to \"open\" listeners", async function() {
+        const clock = sinon.useFakeTimers();
+        const openSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        button.on("open", openSpy);
+        tap(button, clock, 120);
+
+        assert.equal(openSpy.callCount, 1);
+        assert.equal(openSpy.getCall(0).args[0], 120);
+        clock.restore();
+      });
+    });
+
+    describe("press", function() {
+
+      it("should fire \"press\" and \"down\" listeners on \"close\"", async function() {
+        const clock = sinon.useFakeTimers();
+        const pressSpy = sinon.spy();
+        const downSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        button.on("press", pressSpy);
+        button.on("down", downSpy);
+        tap(button, clock);
+
+        assert.equal(pressSpy.callCount, 1);
+        assert.equal(downSpy.callCount, 1);
+        assert.equal(button.listenerCount("close"), 2);
+
+        button.removeListener("press", pressSpy);
+        tap(button, clock);
+        assert.equal(pressSpy.callCount, 1);
+        assert.equal(downSpy.callCount, 2);
+        clock.restore();
+      });
+
+    });
+
+    describe("release", function() {
+
+      it("should fire \"release\" and \"up\" listeners on \"open\"", async function() {
+        const clock = sinon.useFakeTimers();
+        const releaseSpy = sinon.spy();
+        const upSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        button.on("release", releaseSpy);
+        button.on("up", upSpy);
+        tap(button, clock, 80);
+
+        assert.equal(releaseSpy.callCount, 1);
+        assert.equal(releaseSpy.getCall(0).args[0], 80);
+        assert.equal(upSpy.callCount, 1);
+
+        button.off("up", upSpy);
+        tap(button, clock);
+        assert.equal(upSpy.callCount, 1);
+        clock.restore();
+      });
+
+    });
+
+    describe("change", function() {
+
+      it("should fire \"change\" with the new state", async function() {
+        const clock = sinon.useFakeTimers();
+        const changeSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        button.on("change", changeSpy);
+        tap(button, clock);
+
+        assert.deepEqual(changeSpy.args, [[true], [false]]);
+        clock.restore();
+      });
+
+    });
+
+    describe("click", function() {
+
+      it("should fire \"click\" once the click window closes", async function() {
+        const clock = sinon.useFakeTimers();
+        const clickSpy = sinon.spy();
+        const dblclickSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        button.on("click", clickSpy);
+        button.on("dblclick", dblclickSpy);
+
+        tap(button, clock);
+        assert.equal(clickSpy.callCount, 0);
+
+        clock.tick(250);
+        assert.equal(clickSpy.callCount, 1);
+        assert.equal(clickSpy.getCall(0).args[0], 1);
+        assert.equal(dblclickSpy.callCount, 0);
+        clock.restore();
+      });
+
+      it("should fire \"click\" on every release when clickWindow is 0", async function() {
+        const clock = sinon.useFakeTimers();
+        const clickSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital,
+          clickWindow: 0
+        });
+
+        button.on("click", clickSpy);
+
+        tap(button, clock);
+        tap(button, clock);
+        assert.equal(clickSpy.callCount, 2);
+        clock.restore();
+      });
+
+    });
+
+    describe("dblclick", function() {
+
+      it("should fire \"dblclick\" for two clicks inside the click window", async function() {
+        const clock = sinon.useFakeTimers();
+        const clickSpy = sinon.spy();
+        const dblclickSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital,
+          clickWindow: 300
+        });
+
+        button.on("click", clickSpy);
+        button.on("dblclick", dblclickSpy);
+
+        tap(button, clock);
+        clock.tick(200);
+        tap(button, clock);
+        clock.tick(300);
+
+        assert.equal(button.clickWindow, 300);
+        assert.equal(clickSpy.callCount, 0);
+        assert.equal(dblclickSpy.callCount, 1);
+        clock.restore();
+      });
+
+    });
+
+    describe("multiclick", function() {
+
+      it("should fire \"multiclick\" with the number of clicks", async function() {
+        const clock = sinon.useFakeTimers();
+        const multiclickSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        button.on("multiclick", multiclickSpy);
+
+        tap(button, clock);
+        tap(button, clock);
+        tap(button, clock);
+        tap(button, clock);
+        clock.tick(250);
+
+        assert.equal(multiclickSpy.callCount, 1);
+        assert.equal(multiclickSpy.getCall(0).args[0], 4);
+        clock.restore();
+      });
+
+    });
+
+    describe("longpress", function() {
+
+      it("should fire \"longpress\" with the duration instead of \"click\"", async function() {
+        const clock = sinon.useFakeTimers();
+        const clickSpy = sinon.spy();
+        const longpressSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        button.on("click", clickSpy);
+        button.on("longpress", longpressSpy);
+
+        tap(button, clock, 800);
+        clock.tick(250);
+
+        assert.equal(clickSpy.callCount, 0);
+        assert.equal(longpressSpy.callCount, 1);
+        assert.equal(longpressSpy.getCall(0).args[0], 800);
+        clock.restore();
+      });
+
+    });
+
+    describe("hold", function() {
+
+      it("should repeat \"hold\" every holdRepeat ms until release", async function() {
+        const clock = sinon.useFakeTimers();
+        const holdSpy = sinon.spy();
+        const button = await new Button({
+          pin: 13,
+          io: Digital,
+          holdRepeat: 100
+        });
+
+        button.on("hold", holdSpy);
+
+        button.io.write(1);
+        clock.tick(507);
+        assert.equal(holdSpy.callCount, 1);
+        assert.equal(holdSpy.getCall(0).args[0], 500);
+
+        clock.tick(300);
+        assert.equal(holdSpy.callCount, 4);
+        assert.equal(holdSpy.getCall(3).args[0], 800);
+
+        button.io.write(0);
+        clock.tick(500);
+        assert.equal(holdSpy.callCount, 4);
+        assert.equal(button.holdRepeat, 100);
+        clock.restore();
+      });
+
+    });
+
+    describe("error", function() {
+
+      it("should emit \"error\" when the IO read fails", async function() {
+        const clock = sinon.useFakeTimers();
+        const button = await new Button({
+          pin: 13,
+          io: Digital
+        });
+
+        const errorListener = sinon.stub();
+        const closeListener = sinon.stub();
+
+        button.on("error", errorListener);
+        button.on("close", closeListener);
+
+        button.io.write(1);
+        sinon.stub(button.io, "read").throws(new Error("IO failure"));
+        clock.tick(10);
+
+        assert.equal(errorListener.callCount, 1);
+        assert.equal(errorListener.getCall(0).args[0].event, "read");
+        assert.equal(closeListener.callCount, 0);
+        clock.restore();
+      });
     });
   });
 
@@ -2,7 +2,9 @@ import assert from "assert";
 import sinon from "sinon";
 import { Emitter } from "j5e/event";
 import Switch from "j5e/switch";
-import { Digital } from "@dtex/mock-io";
+import Sensor from "j5e/sensor";
+import Animation from "j5e/animation";
+import { Digital, Analog } from "@dtex/mock-io";
 
 describe("Event", function() {
 
@@ -51,5 +53,554 @@ describe("Event", function() {
     });
   });
 
+  describe("Properties", function() {
+
+    describe("errorPolicy", function() {
+
+      it("should default to \"throw\"", function() {
+        const emitter = new Emitter();
+        assert.equal(emitter.errorPolicy, "throw");
+      });
+
+      it("should be settable", function() {
+        const emitter = new Emitter();
+        emitter.errorPolicy = "log";
+        assert.equal(emitter.errorPolicy, "log");
+      });
+
+      it("should throw when set to an unknown policy", function() {
+        const emitter = new Emitter();
+        assert.throws(() => {
+          emitter.errorPolicy = "ignore";
+        }, Error);
+      });
+
+    });
+
+  });
+
+  describe("Methods", function() {
+
+    describe("on", function() {
+
+      it("should pass the event name to namespace pattern listeners", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.on("limit:*", spy);
+        emitter.emit("limit:upper", 900);
+        emitter.emit("limit:lower", 10);
+        emitter.emit("limit", { boundary: "upper" });
+        emitter.emit("change", 900);
+
+        assert.equal(spy.callCount, 2);
+        assert.deepEqual(spy.getCall(0).args, ["limit:upper", 900]);
+        assert.deepEqual(spy.getCall(1).args, ["limit:lower", 10]);
+      });
+
+      it("should pass every event to \"*\" listeners", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+        const exact = sinon.spy();
+
+        emitter.on("*", spy);
+        emitter.on("change", exact);
+        emitter.emit("change", 1);
+        emitter.emit("animation:stop");
+
+        assert.equal(exact.callCount, 1);
+        assert.deepEqual(exact.getCall(0).args, [1]);
+        assert.deepEqual(spy.getCall(0).args, ["change", 1]);
+        assert.deepEqual(spy.getCall(1).args, ["animation:stop"]);
+      });
+
+      it("should stop calling a pattern listener once it is removed", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.on("animation:*", spy);
+        emitter.emit("animation:pause");
+        emitter.removeListener("animation:*", spy);
+        emitter.emit("animation:stop");
+
+        assert.equal(spy.callCount, 1);
+        assert.equal(emitter.listenerCount("animation:*"), 0);
+      });
+
+      it("should watch a whole device", async function() {
+        const clock = sinon.useFakeTimers();
+        const sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          limit: [0, 100]
+        });
+        const events = new Set();
+
+        sensor.on("*", event => events.add(event));
+        sensor.io.value = 500;
+        clock.tick(1005);
+
+        assert.equal(events.has("data"), true);
+        assert.equal(events.has("change"), true);
+        assert.equal(events.has("limit"), true);
+        assert.equal(events.has("limit:upper"), true);
+        assert.equal(events.has("raw"), true);
+
+        clock.restore();
+        sensor.disable();
+      });
+
+    });
+
+    describe("off", function() {
+
+      it("should remove a listener", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.on("foo", spy);
+        emitter.emit("foo");
+        emitter.off("foo", spy);
+        emitter.emit("foo");
+
+        assert.equal(spy.callCount, 1);
+        assert.equal(emitter.listenerCount("foo"), 0);
+      });
+
+    });
+
+    describe("once", function() {
+
+      it("should only fire one time", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.once("foo", spy);
+        emitter.emit("foo", 1);
+        emitter.emit("foo", 2);
+
+        assert.equal(spy.callCount, 1);
+        assert.equal(spy.getCall(0).args[0], 1);
+      });
+
+      it("should be removable with the original listener", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.once("foo", spy);
+        assert.equal(emitter.listenerCount("foo"), 1);
+        emitter.removeListener("foo", spy);
+        assert.equal(emitter.listenerCount("foo"), 0);
+        emitter.emit("foo");
+
+        assert.equal(spy.callCount, 0);
+      });
+
+      it("should return a promise when no listener is passed", async function() {
+        const emitter = new Emitter();
+        const promise = emitter.once("foo");
+
+        assert.equal(promise instanceof Promise, true);
+        emitter.emit("foo", "bar");
+        assert.equal(await promise, "bar");
+      });
+
+      it("should return a promise on classes that define their own next method", async function() {
+        const animation = new Animation({});
+        const nextSpy = sinon.spy(animation, "next");
+        const promise = animation.once("animation:stop");
+
+        assert.equal(nextSpy.callCount, 0);
+        animation.emit("animation:stop");
+        await promise;
+      });
+
+    });
+
+    describe("emit", function() {
+
+      it("should call every listener when one throws", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+        const errorSpy = sinon.spy();
+
+        emitter.on("error", errorSpy);
+        emitter.on("foo", () => {
+          throw new Error("oops");
+        });
+        emitter.on("foo", spy);
+        emitter.emit("foo");
+
+        assert.equal(spy.callCount, 1);
+        assert.equal(errorSpy.callCount, 1);
+        assert.equal(errorSpy.getCall(0).args[0].message, "oops");
+        assert.equal(errorSpy.getCall(0).args[0].event, "foo");
+        assert.equal(errorSpy.getCall(0).args[0].device, emitter);
+      });
+
+      it("should rethrow after every listener has run when there is no error listener", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.on("foo", () => {
+          throw new Error("oops");
+        });
+        emitter.on("foo", spy);
+
+        assert.throws(() => emitter.emit("foo"), /oops/);
+        assert.equal(spy.callCount, 1);
+      });
+
+    });
+
+    describe("emitError", function() {
+
+      it("should wrap values that are not errors", function() {
+        const emitter = new Emitter();
+        const errorSpy = sinon.spy();
+
+        emitter.on("error", errorSpy);
+        emitter.emitError("oops", "read");
+
+        const error = errorSpy.getCall(0).args[0];
+        assert.equal(error instanceof Error, true);
+        assert.equal(error.message, "oops");
+        assert.equal(error.event, "read");
+      });
+
+      it("should pass errors to a \"*\" listener instead of applying errorPolicy", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.on("*", spy);
+
+        assert.doesNotThrow(() => emitter.emitError(new Error("oops"), "read"));
+        assert.equal(spy.callCount, 1);
+        assert.equal(spy.getCall(0).args[0], "error");
+        assert.equal(spy.getCall(0).args[1].message, "oops");
+      });
+
+      it("should log when errorPolicy is \"log\"", function() {
+        const emitter = new Emitter({ errorPolicy: "log" });
+        const consoleStub = sinon.stub(console, "error");
+
+        emitter.emitError(new Error("oops"), "read");
+        consoleStub.restore();
+
+        assert.equal(consoleStub.callCount, 1);
+      });
+
+      it("should disable the device when errorPolicy is \"stop\"", async function() {
+        const sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          errorPolicy: "stop"
+        });
+        const consoleStub = sinon.stub(console, "error");
+
+        sensor.on("data", () => {
+          throw new Error("oops");
+        });
+        sensor.emit("data", 1);
+        consoleStub.restore();
+
+        assert.equal(consoleStub.callCount, 1);
+        assert.equal(sensor.interval, 0);
+      });
+
+    });
+
+    describe("next", function() {
+
+      it("should resolve with the first event argument", async function() {
+        const emitter = new Emitter();
+        const promise = emitter.next("foo");
+
+        emitter.emit("foo", 42, 43);
+
+        assert.equal(await promise, 42);
+        assert.equal(emitter.listenerCount("foo"), 0);
+      });
+
+      it("should resolve when a device emits", async function() {
+        const mySwitch = await new Switch({
+          pin: 12,
+          io: Digital
+        });
+
+        const promise = mySwitch.next("close");
+        mySwitch.io.write(1);
+
+        await promise;
+        assert.equal(mySwitch.isClosed, true);
+      });
+
+      it("should reject after the timeout", async function() {
+        const clock = sinon.useFakeTimers();
+        const emitter = new Emitter();
+        const promise = emitter.next("foo", { timeout: 100 });
+
+        clock.tick(101);
+        clock.restore();
+
+        await promise.then(
+          () => assert.fail("should have rejected"),
+          error => assert.equal(/Timed out/.test(error.message), true)
+        );
+        assert.equal(emitter.listenerCount("foo"), 0);
+      });
+
+      it("should reject when the signal is aborted", async function() {
+        const emitter = new Emitter();
+        const signal = mockSignal();
+        const promise = emitter.next("foo", { signal });
+
+        signal.abort();
+
+        await promise.then(
+          () => assert.fail("should have rejected"),
+          error => assert.equal(error.name, "AbortError")
+        );
+        assert.equal(emitter.listenerCount("foo"), 0);
+      });
+
+    });
+
+    describe("events", function() {
+
+      it("should iterate over buffered values", async function() {
+        const emitter = new Emitter();
+        const iterator = emitter.events("foo");
+        const values = [];
+
+        emitter.emit("foo", 1);
+        emitter.emit("foo", 2);
+        emitter.emit("foo", 3);
+
+        for await (const value of iterator) {
+          values.push(value);
+          if (value === 3) {
+            break;
+          }
+        }
+
+        assert.deepEqual(values, [1, 2, 3]);
+        assert.equal(emitter.listenerCount("foo"), 0);
+      });
+
+      it("should wait for values that have not been emitted yet", async function() {
+        const emitter = new Emitter();
+        const iterator = emitter.events("foo");
+        const next = iterator.next();
+
+        emitter.emit("foo", "bar");
+
+        assert.deepEqual(await next, { value: "bar", done: false });
+        await iterator.return();
+        assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+      });
+
+      it("should drop the oldest values when the buffer is full", async function() {
+        const emitter = new Emitter();
+        const iterator = emitter.events("foo", { bufferSize: 2 });
+
+        emitter.emit("foo", 1);
+        emitter.emit("foo", 2);
+        emitter.emit("foo", 3);
+
+        assert.equal((await iterator.next()).value, 2);
+        assert.equal((await iterator.next()).value, 3);
+        await iterator.return();
+      });
+
+      it("should reject pending reads and clean up when the signal is aborted", async function() {
+        const emitter = new Emitter();
+        const signal = mockSignal();
+        const iterator = emitter.events("foo", { signal });
+        const next = iterator.next();
+
+        signal.abort();
+
+        await next.then(
+          () => assert.fail("should have rejected"),
+          error => assert.equal(error.name, "AbortError")
+        );
+        assert.equal(emitter.listenerCount("foo"), 0);
+      });
+
+    });
+
+    describe("prependListener", function() {
+
+      it("should call the prepended listener first", function() {
+        const emitter = new Emitter();
+        const order = [];
+
+        emitter.on("foo", () => order.push("first"));
+        emitter.prependListener("foo", () => order.push("prepended"));
+        emitter.emit("foo");
+
+        assert.deepEqual(order, ["prepended", "first"]);
+      });
+
+    });
+
+    describe("removeAllListeners", function() {
+
+      it("should remove all listeners for one event", function() {
+        const emitter = new Emitter();
+        const fooSpy = sinon.spy();
+        const barSpy = sinon.spy();
+
+        emitter.on("foo", fooSpy);
+        emitter.on("foo", fooSpy);
+        emitter.on("bar", barSpy);
+        emitter.removeAllListeners("foo");
+        emitter.emit("foo");
+        emitter.emit("bar");
+
+        assert.equal(fooSpy.callCount, 0);
+        assert.equal(barSpy.callCount, 1);
+      });
+
+      it("should remove all listeners for all events", function() {
+        const emitter = new Emitter();
+        const fooSpy = sinon.spy();
+        const barSpy = sinon.spy();
+
+        emitter.on("foo", fooSpy);
+        emitter.on("bar", barSpy);
+        emitter.removeAllListeners();
+        emitter.emit("foo");
+        emitter.emit("bar");
+
+        assert.equal(fooSpy.callCount, 0);
+        assert.equal(barSpy.callCount, 0);
+      });
+
+    });
+
+    describe("listeners", function() {
+
+      it("should return a copy of the listeners with once listeners unwrapped", function() {
+        const emitter = new Emitter();
+        const first = () => {};
+        const second = () => {};
+
+        emitter.on("foo", first);
+        emitter.once("foo", second);
+
+        const listeners = emitter.listeners("foo");
+        assert.deepEqual(listeners, [first, second]);
+        listeners.pop();
+        assert.equal(emitter.listenerCount("foo"), 2);
+        assert.deepEqual(emitter.listeners("bar"), []);
+      });
+
+    });
+
+    describe("eventNames", function() {
+
+      it("should list the events that have listeners", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.on("foo", spy);
+        emitter.on("limit:*", spy);
+        assert.deepEqual(emitter.eventNames(), ["foo", "limit:*"]);
+
+        emitter.off("foo", spy);
+        assert.deepEqual(emitter.eventNames(), ["limit:*"]);
+      });
+
+    });
+
+    describe("listenerCount", function() {
+
+      it("should count the listeners on a device", async function() {
+        const mySwitch = await new Switch({
+          pin: 12,
+          io: Digital
+        });
+        const spy = sinon.spy();
+
+        assert.equal(mySwitch.listenerCount("open"), 0);
+        mySwitch.on("open", spy);
+        mySwitch.on("close", spy);
+        assert.equal(mySwitch.listenerCount("open"), 1);
+        mySwitch.removeAllListeners();
+        assert.equal(mySwitch.listenerCount("open"), 0);
+        assert.equal(mySwitch.listenerCount("close"), 0);
+      });
+
+    });
+
+    describe("aliases", function() {
+
+      class Door extends Emitter {
+        static aliases = { shut: "close" };
+      }
+
+      it("should resolve aliases in every listener method", function() {
+        const door = new Door();
+        const spy = sinon.spy();
+
+        door.on("shut", spy);
+        door.emit("close", 1);
+        door.emit("shut", 2);
+
+        assert.equal(spy.callCount, 2);
+        assert.equal(door.listenerCount("close"), 1);
+        assert.deepEqual(door.listeners("close"), [spy]);
+        assert.deepEqual(door.eventNames(), ["close"]);
+
+        door.removeListener("shut", spy);
+        assert.equal(door.listenerCount("close"), 0);
+      });
+
+      it("should resolve aliases in once and next", async function() {
+        const door = new Door();
+        const spy = sinon.spy();
+
+        door.once("shut", spy);
+        const next = door.next("shut");
+        door.emit("close", 3);
+        door.emit("close", 4);
+
+        assert.equal(spy.callCount, 1);
+        assert.equal(await next, 3);
+        assert.equal(door.listenerCount("shut"), 0);
+      });
+
+      it("should leave other events alone", function() {
+        const emitter = new Emitter();
+        const spy = sinon.spy();
+
+        emitter.on("shut", spy);
+        emitter.emit("close");
+        assert.equal(spy.callCount, 0);
+      });
+
+    });
+
+  });
+
 
 });
+
+function mockSignal() {
+  const listeners = [];
+  return {
+    aborted: false,
+    addEventListener(type, listener) {
+      listeners.push(listener);
+    },
+    removeEventListener(type, listener) {
+      listeners.splice(listeners.indexOf(listener), 1);
+    },
+    abort() {
+      this.aborted = true;
+      listeners.slice().forEach(listener => listener());
+    }
+  };
+}
@@ -1,7 +1,7 @@
 import assert from "assert";
 import sinon from "sinon";
 import { Digital } from "@dtex/mock-io";
-import { constrain, normalizeParams, timer } from "j5e/fn";
+import { constrain, createDigitalInput, debounceInput, interpolate, normalizeDebounce, normalizeParams, timer } from "j5e/fn";
 
 describe("Fn", function() {
 
@@ -32,6 +32,22 @@ describe("Fn", function() {
 
   });
 
+  describe("interpolate", function() {
+
+    const points = [[0, 0], [10, 100], [20, 300]];
+
+    it("should interpolate between points", function() {
+      assert.equal(interpolate(5, points), 50);
+      assert.equal(interpolate(15, points), 200);
+    });
+
+    it("should clamp values outside the points", function() {
+      assert.equal(interpolate(-5, points), 0);
+      assert.equal(interpolate(25, points), 300);
+    });
+
+  });
+
   describe("constrain", function() {
 
     it("should return the value when value is in range", function() {
@@ -61,6 +77,201 @@ describe("Fn", function() {
 
   });
 
+  describe("normalizeDebounce", function() {
+
+    it("should treat a number as a time in ms", function() {
+      assert.deepEqual(normalizeDebounce(20), { type: "time", time: 20, samples: 5, interval: 1 });
+    });
+
+    it("should treat false or 0 as \"none\"", function() {
+      assert.equal(normalizeDebounce(false).type, "none");
+      assert.equal(normalizeDebounce(0).type, "none");
+    });
+
+    it("should fill in the defaults for a strategy name", function() {
+      assert.deepEqual(normalizeDebounce("integrator"), { type: "integrator", time: 7, samples: 5, interval: 1 });
+    });
+
+    it("should throw on an unknown strategy", function() {
+      assert.throws(() => {
+        normalizeDebounce("magic");
+      }, /Unknown debounce strategy/);
+    });
+
+  });
+
+  describe("debounceInput", function() {
+
+    it("should report the value after the input stops changing with \"time\"", function() {
+      const clock = sinon.useFakeTimers();
+      let value = 1;
+      const onChange = sinon.spy();
+      const trigger = debounceInput({ type: "time", time: 10 }, { read: () => value, onChange });
+
+      trigger();
+      clock.tick(5);
+      value = 0;
+      trigger();
+      clock.tick(5);
+      value = 1;
+      trigger();
+      assert.equal(onChange.callCount, 0);
+
+      clock.tick(10);
+      assert.deepEqual(onChange.args, [[1]]);
+      clock.restore();
+    });
+
+    it("should report the first edge and ignore bounces with \"lockout\"", function() {
+      const clock = sinon.useFakeTimers();
+      let value = 1;
+      const onChange = sinon.spy();
+      const trigger = debounceInput({ type: "lockout", time: 20 }, { read: () => value, onChange });
+
+      trigger();
+      assert.deepEqual(onChange.args, [[1]]);
+
+      value = 0;
+      trigger();
+      value = 1;
+      trigger();
+      assert.equal(onChange.callCount, 1);
+
+      // The input is read again when the lockout ends
+      value = 0;
+      clock.tick(20);
+      assert.deepEqual(onChange.args, [[1], [0]]);
+      clock.restore();
+    });
+
+    it("should wait for enough agreeing samples with \"integrator\"", function() {
+      const clock = sinon.useFakeTimers();
+      const reads = [1, 1, 0, 1, 1];
+      const onChange = sinon.spy();
+      const trigger = debounceInput({ type: "integrator", samples: 3, interval: 1 }, {
+        read: () => reads.length > 1 ? reads.shift() : reads[0],
+        onChange
+      });
+
+      trigger();
+      clock.tick(3);
+      assert.equal(onChange.callCount, 0);
+
+      clock.tick(10);
+      assert.deepEqual(onChange.args, [[1]]);
+      clock.restore();
+    });
+
+    it("should report every edge with \"none\"", function() {
+      let value = 1;
+      const onChange = sinon.spy();
+      const trigger = debounceInput("none", { read: () => value, onChange });
+
+      trigger();
+      value = 0;
+      trigger();
+      assert.deepEqual(onChange.args, [[1], [0]]);
+    });
+
+    it("should stop pending timers when cancelled", function() {
+      const clock = sinon.useFakeTimers();
+      const onChange = sinon.spy();
+      const trigger = debounceInput(10, { read: () => 1, onChange });
+
+      trigger();
+      trigger.cancel();
+      clock.tick(10);
+      assert.equal(onChange.callCount, 0);
+
+      clock.restore();
+    });
+
+    it("should pass read errors to onError", function() {
+      const clock = sinon.useFakeTimers();
+      const onChange = sinon.spy();
+      const onError = sinon.spy();
+      const trigger = debounceInput(10, {
+        read: () => {
+          throw new Error("read failed");
+        },
+        onChange,
+        onError
+      });
+
+      trigger();
+      clock.tick(10);
+      assert.equal(onChange.callCount, 0);
+      assert.equal(onError.getCall(0).args[0].message, "read failed");
+      clock.restore();
+    });
+
+  });
+
+  describe("createDigitalInput", function() {
+
+    it("should report debounced edges until disabled", function() {
+      const clock = sinon.useFakeTimers();
+      const onChange = sinon.spy();
+      const input = createDigitalInput(Digital, { pin: 13, mode: Digital.Input, debounce: 10 }, { onChange });
+
+      assert.equal(input.isPolling, false);
+      assert.equal(input.debounce.time, 10);
+
+      input.io.write(1);
+      clock.tick(10);
+      assert.deepEqual(onChange.args, [[1]]);
+
+      input.disable();
+      input.io.write(0);
+      clock.tick(10);
+      assert.equal(onChange.callCount, 1);
+      assert.equal(input.enabled, false);
+
+      clock.restore();
+    });
+
+    [
+      { type: "time", time: 10 },
+      { type: "lockout", time: 10 },
+      { type: "integrator", samples: 3, interval: 1 }
+    ].forEach(strategy => {
+      it(`should cancel pending "${strategy.type}" debouncing when disabled`, function() {
+        const clock = sinon.useFakeTimers();
+        const onChange = sinon.spy();
+        const input = createDigitalInput(Digital, { pin: 13, mode: Digital.Input, debounce: strategy }, { onChange });
+
+        input.io.write(1);
+        input.io.write(0);
+        input.io.write(1);
+        const calls = onChange.callCount;
+
+        input.disable();
+        clock.tick(100);
+        assert.equal(onChange.callCount, calls);
+
+        clock.restore();
+      });
+    });
+
+    it("should poll at pollInterval when asked to", function() {
+      const clock = sinon.useFakeTimers();
+      const onChange = sinon.spy();
+      const input = createDigitalInput(Digital, { pin: 13, mode: Digital.Input, poll: true, pollInterval: 20 }, { onChange });
+
+      assert.equal(input.isPolling, true);
+
+      input.io.value = 1;
+      clock.tick(19);
+      assert.equal(onChange.callCount, 0);
+      clock.tick(1);
+      assert.deepEqual(onChange.args, [[1]]);
+
+      input.disable();
+      clock.restore();
+    });
+
+  });
+
   // describe('setInterval', function() {
   //   it('should return the GLOBAL setInterval by default', function() {
   //     const localSetInterval = setInterval;
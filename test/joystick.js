@@ -0,0 +1,326 @@
+import assert from "assert";
+import sinon from "sinon";
+import { Analog, Digital } from "@dtex/mock-io";
+import Joystick from "j5e/joystick";
+import Sensor from "j5e/sensor";
+import Button from "j5e/button";
+import { Emitter } from "j5e/event";
+
+// Set both axes and wait for a reading
+function move(joystick, clock, x, y) {
+  joystick.axes.x.io.value = x;
+  joystick.axes.y.io.value = y;
+  clock.tick(100);
+}
+
+describe("Joystick", function() {
+
+  describe("Instantiation", function() {
+
+    it("should return a valid Joystick instance when passed an options object", async function() {
+      const joystick = await new Joystick({
+        pins: [17, 18],
+        io: Analog
+      });
+      assert.equal(joystick instanceof Joystick, true);
+      assert.equal(joystick instanceof Emitter, true);
+      assert.equal(joystick.axes.x instanceof Sensor, true);
+      assert.equal(joystick.axes.y instanceof Sensor, true);
+      assert.equal(joystick.axes.x.interval, 20);
+      assert.equal(joystick.button, undefined);
+      assert.deepEqual(joystick.center, { x: 512, y: 512 });
+      joystick.disable();
+    });
+
+    it("should accept an array of pin option objects", async function() {
+      const joystick = await new Joystick([
+        { pin: 17, io: Analog },
+        { pin: 18, io: Analog }
+      ]);
+      assert.equal(joystick.axes.y.io.pin, 18);
+      joystick.disable();
+    });
+
+    it("should reject when it is not passed two pins", async function() {
+      await assert.rejects(async() => {
+        await new Joystick({
+          pins: [17],
+          io: Analog
+        });
+      }, /two pins/);
+    });
+
+  });
+
+  describe("Options", function() {
+
+    describe("deadZone", function() {
+
+      it("should report 0 inside the dead zone and rescale outside it", async function() {
+        const clock = sinon.useFakeTimers();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          deadZone: 0.1
+        });
+
+        move(joystick, clock, 540, 490);
+        assert.equal(joystick.x, 0);
+        assert.equal(joystick.y, 0);
+
+        move(joystick, clock, 1023, 0);
+        assert.equal(joystick.x, 1);
+        assert.equal(joystick.y, -1);
+
+        move(joystick, clock, 767, 512);
+        assert.equal(joystick.x, 0.44);
+
+        clock.restore();
+        joystick.disable();
+      });
+
+      it("should update the position when either axis reports", async function() {
+        const clock = sinon.useFakeTimers();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          deadZone: 0
+        });
+
+        joystick.axes.y.disable();
+        joystick.axes.x.io.value = 1023;
+        clock.tick(20);
+        assert.equal(joystick.x, 1);
+
+        clock.restore();
+        joystick.disable();
+      });
+
+      it("should accept a dead zone for each axis", async function() {
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          deadZone: [0.1, 0.2]
+        });
+        assert.deepEqual(joystick.deadZone, { x: 0.1, y: 0.2 });
+        joystick.disable();
+      });
+
+    });
+
+    describe("invert", function() {
+
+      it("should reverse an axis", async function() {
+        const clock = sinon.useFakeTimers();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          deadZone: 0,
+          invert: { y: true }
+        });
+
+        move(joystick, clock, 1023, 1023);
+        assert.equal(joystick.x, 1);
+        assert.equal(joystick.y, -1);
+
+        clock.restore();
+        joystick.disable();
+      });
+
+    });
+
+    describe("center", function() {
+
+      it("should measure from the given center", async function() {
+        const clock = sinon.useFakeTimers();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          deadZone: 0,
+          center: [400, 600]
+        });
+
+        move(joystick, clock, 200, 600);
+        assert.equal(joystick.x, -0.5);
+        assert.equal(joystick.y, 0);
+
+        clock.restore();
+        joystick.disable();
+      });
+
+    });
+
+    describe("polar", function() {
+
+      it("should add angle and magnitude to events", async function() {
+        const clock = sinon.useFakeTimers();
+        const changeSpy = sinon.spy();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          deadZone: 0,
+          polar: true
+        });
+
+        joystick.on("change", changeSpy);
+        move(joystick, clock, 512, 1023);
+
+        assert.deepEqual(changeSpy.lastCall.args[0], { x: 0, y: 1, angle: 90, magnitude: 1 });
+        assert.equal(joystick.angle, 90);
+
+        clock.restore();
+        joystick.disable();
+      });
+
+    });
+
+    describe("button", function() {
+
+      it("should emit press and release from the button", async function() {
+        const pressSpy = sinon.spy();
+        const releaseSpy = sinon.spy();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          button: { pin: 12, io: Digital }
+        });
+
+        assert.equal(joystick.button instanceof Button, true);
+        joystick.on("press", pressSpy);
+        joystick.on("release", releaseSpy);
+
+        joystick.button.emit("close");
+        joystick.button.emit("open");
+
+        assert.equal(pressSpy.callCount, 1);
+        assert.equal(releaseSpy.callCount, 1);
+        joystick.disable();
+      });
+
+      it("should forward button errors to the joystick", async function() {
+        const errorSpy = sinon.spy();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          button: { pin: 12, io: Digital }
+        });
+
+        joystick.on("error", errorSpy);
+        joystick.button.emitError(new Error("Button failure"), "read");
+
+        assert.equal(errorSpy.callCount, 1);
+        assert.equal(errorSpy.getCall(0).args[0].message, "Button failure");
+        joystick.disable();
+      });
+
+    });
+
+    describe("axis options", function() {
+
+      it("should measure the position from raw readings when the axes are scaled", async function() {
+        const clock = sinon.useFakeTimers();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          scale: [0, 100],
+          deadZone: 0
+        });
+
+        move(joystick, clock, 1023, 0);
+        assert.equal(joystick.x, 1);
+        assert.equal(joystick.y, -1);
+
+        move(joystick, clock, 512, 512);
+        assert.equal(joystick.x, 0);
+        assert.equal(joystick.y, 0);
+
+        clock.restore();
+        joystick.disable();
+      });
+
+    });
+
+  });
+
+  describe("Methods", function() {
+
+    describe("calibrate", function() {
+
+      it("should use the current position as the center", async function() {
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog
+        });
+
+        joystick.axes.x.io.value = 530;
+        joystick.axes.y.io.value = 495;
+
+        assert.deepEqual(joystick.calibrate(), { x: 530, y: 495 });
+        assert.deepEqual(joystick.center, { x: 530, y: 495 });
+        joystick.disable();
+      });
+
+    });
+
+    describe("enable and disable", function() {
+
+      it("should start and stop the axes and the button", async function() {
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          button: { pin: 12, io: Digital }
+        });
+        const devices = [joystick.axes.x, joystick.axes.y, joystick.button];
+        const enableSpies = devices.map(device => sinon.spy(device, "enable"));
+        const disableSpies = devices.map(device => sinon.spy(device, "disable"));
+
+        joystick.disable();
+        disableSpies.forEach(spy => assert.equal(spy.callCount, 1));
+
+        joystick.enable();
+        enableSpies.forEach(spy => assert.equal(spy.callCount, 1));
+
+        joystick.disable();
+      });
+
+    });
+
+  });
+
+  describe("Events", function() {
+
+    describe("change", function() {
+
+      it("should emit change with x and y when the position moves by threshold", async function() {
+        const clock = sinon.useFakeTimers();
+        const changeSpy = sinon.spy();
+        const joystick = await new Joystick({
+          pins: [17, 18],
+          io: Analog,
+          deadZone: 0,
+          threshold: 0.1,
+          smoothing: 1
+        });
+
+        joystick.on("change", changeSpy);
+
+        move(joystick, clock, 512, 512);
+        assert.equal(changeSpy.callCount, 1);
+        assert.deepEqual(changeSpy.lastCall.args[0], { x: 0, y: 0 });
+
+        move(joystick, clock, 530, 512);
+        assert.equal(changeSpy.callCount, 1);
+
+        move(joystick, clock, 1023, 512);
+        assert.equal(changeSpy.callCount, 2);
+        assert.deepEqual(changeSpy.lastCall.args[0], { x: 1, y: 0 });
+
+        clock.restore();
+        joystick.disable();
+      });
+
+    });
+
+  });
+
+});
@@ -280,10 +280,10 @@ describe("Light", function() {
           light.io.value = 1023;
           clock.tick(1005);
 
-          assert.equal(calls.lower, 3);
-          assert.equal(calls.upper, 3);
-          assert.equal(calls["limit:lower"], 3);
-          assert.equal(calls["limit:upper"], 3);
+          assert.equal(calls.lower, 1);
+          assert.equal(calls.upper, 1);
+          assert.equal(calls["limit:lower"], 1);
+          assert.equal(calls["limit:upper"], 1);
 
           clock.restore();
           light.disable();
@@ -292,6 +292,398 @@ describe("Light", function() {
 
       });
 
+      describe("history", function() {
+
+        it("should inherit history and stats from Sensor", async function() {
+          const clock = sinon.useFakeTimers();
+          const statsSpy = sinon.spy();
+
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            history: 2
+          });
+
+          light.on("stats", statsSpy);
+          light.io.value = 512;
+          clock.tick(2005);
+
+          assert.equal(light.history.length, 2);
+          assert.equal(light.stats.mean, 512);
+          assert.equal(statsSpy.callCount, 1);
+
+          clock.restore();
+          light.disable();
+        });
+
+      });
+
+      describe("eventFormat", function() {
+
+        it("should use the light level in reading objects", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            eventFormat: "object"
+          });
+
+          light.on("data", dataSpy);
+          light.io.value = 256;
+          clock.tick(1000);
+
+          assert.equal(dataSpy.getCall(0).args[0].value, 256);
+          assert.equal(dataSpy.getCall(0).args[0].level, 0.25);
+
+          clock.restore();
+          light.disable();
+        });
+
+      });
+
+      describe("autoRange", function() {
+
+        it("should default to false", async function() {
+          let light = await new Light({
+            pin: 17,
+            io: Analog
+          });
+
+          assert.equal(light.autoRange, false);
+          assert.equal(light.learnedRange, null);
+          light.disable();
+        });
+
+        it("should calculate level from the learned range", async function() {
+          const clock = sinon.useFakeTimers();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            autoRange: true
+          });
+
+          assert.deepEqual(light.autoRange, { window: 86400000, buckets: 24, minSpan: 102 });
+
+          light.io.value = 200;
+          clock.tick(100);
+          light.io.value = 600;
+          clock.tick(100);
+          light.io.value = 400;
+          clock.tick(100);
+
+          assert.deepEqual(light.learnedRange, [200, 600]);
+          assert.equal(light.level, 0.5);
+
+          clock.restore();
+          light.disable();
+        });
+
+        it("should forget readings that are older than the window", async function() {
+          const clock = sinon.useFakeTimers();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            autoRange: { window: 1000, buckets: 10 }
+          });
+
+          light.io.value = 100;
+          clock.tick(100);
+          light.io.value = 900;
+          clock.tick(100);
+          assert.deepEqual(light.learnedRange, [100, 900]);
+
+          light.io.value = 500;
+          clock.tick(1200);
+          assert.equal(light.learnedRange, null);
+          assert.equal(light.level, 0.49);
+
+          clock.restore();
+          light.disable();
+        });
+
+      });
+
+      describe("darkThreshold", function() {
+
+        it("should emit \"dark\" and \"bright\" once after darkDuration", async function() {
+          const clock = sinon.useFakeTimers();
+          const darkSpy = sinon.spy();
+          const brightSpy = sinon.spy();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            darkThreshold: 0.2,
+            darkHysteresis: 0.1,
+            darkDuration: 500
+          });
+
+          light.on("dark", darkSpy);
+          light.on("bright", brightSpy);
+
+          light.io.value = 100;
+          clock.tick(400);
+          assert.equal(darkSpy.callCount, 0);
+          assert.equal(light.isDark, null);
+
+          clock.tick(2000);
+          assert.equal(darkSpy.callCount, 1);
+          assert.equal(darkSpy.getCall(0).args[0], 0.1);
+          assert.equal(light.isDark, true);
+
+          // Inside the hysteresis band
+          light.io.value = 250;
+          clock.tick(2000);
+          assert.equal(brightSpy.callCount, 0);
+
+          // The first filtered reading at 400 starts darkDuration
+          light.io.value = 400;
+          clock.tick(600);
+          assert.equal(brightSpy.callCount, 0);
+
+          clock.tick(1000);
+          assert.equal(brightSpy.callCount, 1);
+          assert.equal(light.isDark, false);
+
+          clock.restore();
+          light.disable();
+        });
+
+        it("should allow a darkHysteresis of 0", async function() {
+          const clock = sinon.useFakeTimers();
+          const brightSpy = sinon.spy();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            darkThreshold: 0.2,
+            darkHysteresis: 0
+          });
+
+          assert.equal(light.darkHysteresis, 0);
+
+          light.on("bright", brightSpy);
+
+          light.io.value = 100;
+          clock.tick(1000);
+          assert.equal(light.isDark, true);
+
+          // Just above the threshold is bright with no hysteresis band
+          light.io.value = 220;
+          clock.tick(2000);
+          assert.equal(brightSpy.callCount, 1);
+
+          clock.restore();
+          light.disable();
+        });
+
+        it("should use the filtered level and ignore a single dark read", async function() {
+          const clock = sinon.useFakeTimers();
+          const darkSpy = sinon.spy();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            darkThreshold: 0.2,
+            smoothing: 5
+          });
+
+          light.on("dark", darkSpy);
+
+          light.io.value = 800;
+          clock.tick(400);
+          light.io.value = 50;
+          clock.tick(100);
+          light.io.value = 800;
+          clock.tick(2000);
+
+          assert.equal(darkSpy.callCount, 0);
+          assert.equal(light.isDark, false);
+
+          light.io.value = 50;
+          clock.tick(300);
+          assert.equal(light.level, 0.05);
+          assert.equal(light.isDark, false);
+
+          clock.tick(200);
+          assert.equal(darkSpy.callCount, 1);
+          assert.equal(light.isDark, true);
+
+          clock.restore();
+          light.disable();
+        });
+
+        it("should ignore a shadow that is shorter than darkDuration", async function() {
+          const clock = sinon.useFakeTimers();
+          const darkSpy = sinon.spy();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            darkThreshold: 0.2,
+            darkDuration: 500
+          });
+
+          light.on("dark", darkSpy);
+
+          light.io.value = 800;
+          clock.tick(1000);
+          light.io.value = 50;
+          clock.tick(300);
+          light.io.value = 800;
+          clock.tick(1000);
+
+          assert.equal(darkSpy.callCount, 0);
+          assert.equal(light.isDark, false);
+
+          clock.restore();
+          light.disable();
+        });
+
+      });
+
+      describe("toLux", function() {
+
+        it("should default to null", async function() {
+          let light = await new Light({
+            pin: 17,
+            io: Analog
+          });
+
+          light.io.value = 512;
+          light.read();
+          assert.equal(light.toLux, null);
+          assert.equal(light.lux, null);
+          light.disable();
+        });
+
+        it("should convert with the photoresistor model", async function() {
+          const clock = sinon.useFakeTimers();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            toLux: "ldr"
+          });
+
+          assert.deepEqual(light.toLux, { model: "ldr", resistor: 10000, gamma: 0.7, r10: 10000, position: "top" });
+          light.io.value = 512;
+          clock.tick(1000);
+          assert.equal(light.lux, 10.03);
+          clock.restore();
+          light.disable();
+        });
+
+        it("should convert with the phototransistor model", async function() {
+          const clock = sinon.useFakeTimers();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            toLux: { model: "phototransistor" }
+          });
+
+          light.io.value = 512;
+          clock.tick(1000);
+          assert.equal(light.lux, 330.32);
+          clock.restore();
+          light.disable();
+        });
+
+        it("should accept a conversion function", async function() {
+          const clock = sinon.useFakeTimers();
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            toLux: raw => raw * 2
+          });
+
+          light.io.value = 512;
+          clock.tick(1000);
+          assert.equal(light.lux, 1024);
+          clock.restore();
+          light.disable();
+        });
+
+        it("should throw on an unknown model", async function() {
+          let light = await new Light({
+            pin: 17,
+            io: Analog
+          });
+
+          assert.throws(() => {
+            light.toLux = "solar";
+          }, /Unknown lux model/);
+          light.disable();
+        });
+
+        it("should add lux to reading objects", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            toLux: "ldr",
+            eventFormat: "object"
+          });
+
+          light.on("data", dataSpy);
+          light.io.value = 512;
+          clock.tick(1000);
+
+          assert.equal(dataSpy.getCall(0).args[0].lux, 10.03);
+
+          clock.restore();
+          light.disable();
+        });
+
+        it("should convert the filtered value", async function() {
+          const clock = sinon.useFakeTimers();
+          const luxValues = [];
+
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            toLux: raw => raw * 2
+          });
+
+          light.on("data", () => luxValues.push(light.lux));
+
+          light.io.value = 512;
+          light.read();
+          assert.equal(light.lux, null);
+
+          clock.tick(900);
+          light.io.value = 100;
+          clock.tick(100);
+          assert.deepEqual(luxValues, [1024]);
+          assert.equal(light.lux, 1024);
+
+          clock.restore();
+          light.disable();
+        });
+
+        it("should undo range and scale before converting", async function() {
+          const clock = sinon.useFakeTimers();
+
+          let light = await new Light({
+            pin: 17,
+            io: Analog,
+            scale: [0, 100],
+            toLux: raw => raw * 2
+          });
+
+          light.io.value = 512;
+          clock.tick(1000);
+          assert.equal(Math.round(light.value), 50);
+          assert.equal(light.lux, 1024);
+
+          light.calibration = [[0, 0], [1023, 100]];
+          assert.equal(light.lux, null);
+
+          clock.restore();
+          light.disable();
+        });
+
+      });
+
       describe("threshold", function() {
 
         it("should return the correct default property values", async function() {
@@ -788,10 +1180,10 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 3);
-        assert.equal(calls.upper, 3);
-        assert.equal(calls["limit:lower"], 3);
-        assert.equal(calls["limit:upper"], 3);
+        assert.equal(calls.lower, 1);
+        assert.equal(calls.upper, 1);
+        assert.equal(calls["limit:lower"], 1);
+        assert.equal(calls["limit:upper"], 1);
 
         light.limit = [200, 800];
 
@@ -808,10 +1200,10 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 4);
-        assert.equal(calls.upper, 5);
-        assert.equal(calls["limit:lower"], 4);
-        assert.equal(calls["limit:upper"], 5);
+        assert.equal(calls.lower, 2);
+        assert.equal(calls.upper, 2);
+        assert.equal(calls["limit:lower"], 2);
+        assert.equal(calls["limit:upper"], 2);
 
         clock.restore();
         light.disable();
@@ -1024,6 +1416,101 @@ describe("Light", function() {
 
   describe("Methods", function() {
 
+    describe("resetRange", function() {
+
+      it("should forget the learned range", async function() {
+        const clock = sinon.useFakeTimers();
+        let light = await new Light({
+          pin: 17,
+          io: Analog,
+          autoRange: true
+        });
+
+        light.io.value = 200;
+        clock.tick(100);
+        light.io.value = 600;
+        clock.tick(100);
+        assert.deepEqual(light.learnedRange, [200, 600]);
+
+        light.resetRange();
+        assert.equal(light.learnedRange, null);
+
+        clock.restore();
+        light.disable();
+      });
+
+    });
+
+    describe("calibrateLux", function() {
+
+      it("should fit the photoresistor model from two readings", async function() {
+        const clock = sinon.useFakeTimers();
+        let light = await new Light({
+          pin: 17,
+          io: Analog,
+          toLux: "ldr"
+        });
+
+        const calibration = light.calibrateLux();
+        light.io.value = 200;
+        calibration.capture(5);
+        light.io.value = 800;
+        calibration.capture(400);
+        calibration.apply();
+
+        assert.equal(light.toLux.gamma.toFixed(3), "0.614");
+        assert.equal(JSON.parse(JSON.stringify(calibration)).model, "ldr");
+
+        light.io.value = 200;
+        clock.tick(1000);
+        assert.equal(light.lux, 5);
+        light.io.value = 800;
+        clock.tick(1000);
+        assert.equal(light.lux, 400);
+        clock.restore();
+        light.disable();
+      });
+
+      it("should fit the phototransistor model from two readings", async function() {
+        const clock = sinon.useFakeTimers();
+        let light = await new Light({
+          pin: 17,
+          io: Analog,
+          toLux: "phototransistor"
+        });
+
+        const calibration = light.calibrateLux();
+        light.io.value = 100;
+        calibration.capture(10);
+        light.io.value = 600;
+        calibration.capture(510);
+        calibration.apply();
+
+        light.io.value = 350;
+        clock.tick(1000);
+        assert.equal(light.lux, 260);
+        clock.restore();
+        light.disable();
+      });
+
+      it("should throw without two different readings", async function() {
+        let light = await new Light({
+          pin: 17,
+          io: Analog,
+          toLux: "ldr"
+        });
+
+        const calibration = light.calibrateLux();
+        light.io.value = 200;
+        calibration.capture(5);
+        assert.throws(() => calibration.apply(), /two light levels/);
+        calibration.capture(5);
+        assert.throws(() => calibration.apply(), /two different light levels/);
+        light.disable();
+      });
+
+    });
+
     describe("disable", function() {
       it("should disable the reading interval when called", async function() {
         const dataSpy = sinon.spy();
@@ -1442,8 +1929,8 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 3);
-        assert.equal(calls.upper, 3);
+        assert.equal(calls.lower, 1);
+        assert.equal(calls.upper, 1);
 
         light.disable();
 
@@ -1461,8 +1948,8 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 3);
-        assert.equal(calls.upper, 3);
+        assert.equal(calls.lower, 1);
+        assert.equal(calls.upper, 1);
 
         light.enable();
 
@@ -1480,8 +1967,8 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 5);
-        assert.equal(calls.upper, 7);
+        assert.equal(calls.lower, 2);
+        assert.equal(calls.upper, 2);
 
         clock.restore();
         light.disable();
@@ -1523,7 +2010,7 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:lower"], 3);
+        assert.equal(calls["limit:lower"], 1);
 
         light.disable();
 
@@ -1541,7 +2028,7 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:lower"], 3);
+        assert.equal(calls["limit:lower"], 1);
 
         light.enable();
 
@@ -1559,7 +2046,7 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:lower"], 5);
+        assert.equal(calls["limit:lower"], 2);
 
         clock.restore();
         light.disable();
@@ -1600,7 +2087,7 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:upper"], 3);
+        assert.equal(calls["limit:upper"], 1);
 
         light.disable();
 
@@ -1618,7 +2105,7 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:upper"], 3);
+        assert.equal(calls["limit:upper"], 1);
 
         light.enable();
 
@@ -1636,7 +2123,7 @@ describe("Light", function() {
         light.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:upper"], 7);
+        assert.equal(calls["limit:upper"], 2);
 
         clock.restore();
         light.disable();
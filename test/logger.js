@@ -0,0 +1,493 @@
+import assert from "assert";
+import sinon from "sinon";
+import { Analog } from "@dtex/mock-io";
+import Logger, { MemorySink, FileSink, PreferenceSink } from "j5e/logger";
+import Sensor from "j5e/sensor";
+import { Emitter } from "j5e/event";
+
+// An in-memory file system for FileSink
+function mockFileSystem() {
+  const files = {};
+  return {
+    files,
+    append: (path, text) => {
+      files[path] = (files[path] || "") + text;
+    },
+    rename: (from, to) => {
+      files[to] = files[from];
+      delete files[from];
+    },
+    remove: path => {
+      delete files[path];
+    },
+    exists: path => typeof files[path] !== "undefined"
+  };
+}
+
+// An in-memory preference store for PreferenceSink
+function mockPreference() {
+  const store = {};
+  return {
+    store,
+    get: (domain, key) => store[`${domain}.${key}`],
+    set: (domain, key, value) => {
+      store[`${domain}.${key}`] = value;
+    }
+  };
+}
+
+describe("Logger", function() {
+
+  describe("Instantiation", function() {
+
+    it("should return a valid Logger instance", function() {
+      const device = new Emitter();
+      const logger = new Logger({
+        device,
+        sink: new MemorySink()
+      });
+      assert.equal(logger instanceof Logger, true);
+      assert.equal(logger instanceof Emitter, true);
+      logger.stop();
+    });
+
+    it("should throw when the sink has no write method", function() {
+      assert.throws(() => {
+        new Logger({ device: new Emitter(), sink: {} });
+      }, /sink/);
+    });
+
+    it("should throw on an unknown format", function() {
+      assert.throws(() => {
+        new Logger({ device: new Emitter(), sink: new MemorySink(), format: "xml" });
+      }, /format/);
+    });
+
+  });
+
+  describe("Options", function() {
+
+    describe("format", function() {
+
+      it("should write CSV rows by default", function() {
+        const clock = sinon.useFakeTimers(1000);
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const logger = new Logger({ device, sink, header: false, flushInterval: 0 });
+
+        device.emit("data", 512);
+
+        assert.deepEqual(sink.lines, ["1000,Emitter,data,512"]);
+        logger.stop();
+        clock.restore();
+      });
+
+      it("should write JSON Lines when format is \"jsonl\"", function() {
+        const clock = sinon.useFakeTimers(1000);
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const logger = new Logger({ device, sink, header: false, flushInterval: 0, format: "jsonl" });
+
+        device.emit("data", 512);
+
+        assert.deepEqual(JSON.parse(sink.lines[0]), { timestamp: 1000, device: "Emitter", event: "data", value: 512 });
+        logger.stop();
+        clock.restore();
+      });
+
+      it("should quote CSV values that contain commas or quotes", function() {
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const logger = new Logger({ device, sink, header: false, flushInterval: 0, fields: ["value"] });
+
+        device.emit("data", "a,\"b\"");
+
+        assert.deepEqual(sink.lines, ["\"a,\"\"b\"\"\""]);
+        logger.stop();
+      });
+
+    });
+
+    describe("fields", function() {
+
+      it("should spread reading objects into CSV columns", async function() {
+        const clock = sinon.useFakeTimers();
+        const sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          eventFormat: "object"
+        });
+        const sink = new MemorySink();
+        const logger = new Logger({
+          device: sensor,
+          sink,
+          header: false,
+          flushInterval: 0,
+          fields: ["event", "value", "raw", "samples"]
+        });
+
+        sensor.io.value = 432;
+        clock.tick(1000);
+
+        assert.deepEqual(sink.lines, ["data,432,432,10"]);
+        logger.stop();
+        sensor.disable();
+        clock.restore();
+      });
+
+    });
+
+    describe("events", function() {
+
+      it("should only log the selected events", function() {
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const logger = new Logger({ device, sink, header: false, flushInterval: 0, events: ["change"], fields: ["event", "value"] });
+
+        device.emit("data", 1);
+        device.emit("change", 2);
+
+        assert.deepEqual(sink.lines, ["change,2"]);
+        logger.stop();
+      });
+
+      it("should log every event in a namespace when passed a pattern", function() {
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const logger = new Logger({ device, sink, header: false, flushInterval: 0, events: ["limit:*"], fields: ["event", "value"] });
+
+        device.emit("limit:upper", 900);
+        device.emit("limit:clear", { boundary: "upper", value: 800 });
+        device.emit("data", 1);
+
+        assert.deepEqual(sink.lines, ["limit:upper,900", "limit:clear,800"]);
+        logger.stop();
+      });
+
+    });
+
+    describe("device", function() {
+
+      it("should log several named devices", function() {
+        const left = new Emitter();
+        const right = new Emitter();
+        const sink = new MemorySink();
+        const logger = new Logger({
+          device: [{ device: left, name: "left" }, { device: right, name: "right" }],
+          sink,
+          header: false,
+          flushInterval: 0,
+          fields: ["device", "value"]
+        });
+
+        left.emit("data", 1);
+        right.emit("data", 2);
+
+        assert.deepEqual(sink.lines, ["left,1", "right,2"]);
+        logger.stop();
+      });
+
+    });
+
+    describe("flushInterval", function() {
+
+      it("should buffer records until the flush interval", function() {
+        const clock = sinon.useFakeTimers();
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const flushListener = sinon.spy();
+        const logger = new Logger({ device, sink, header: false, flushInterval: 500 });
+        logger.on("flush", flushListener);
+
+        device.emit("data", 1);
+        device.emit("data", 2);
+        assert.equal(sink.lines.length, 0);
+
+        clock.tick(500);
+        assert.equal(sink.lines.length, 2);
+        assert.equal(flushListener.callCount, 1);
+        assert.equal(flushListener.getCall(0).args[0], 2);
+
+        logger.stop();
+        clock.restore();
+      });
+
+    });
+
+    describe("header", function() {
+
+      it("should describe the device options in the CSV header", async function() {
+        const sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          interval: 200,
+          smoothing: 5
+        });
+        const sink = new MemorySink();
+        const logger = new Logger({ device: { device: sensor, name: "light" }, sink, header: { site: "greenhouse" } });
+
+        const [comment, columns] = sink.lines;
+        const header = JSON.parse(comment.slice(2));
+
+        assert.equal(header.site, "greenhouse");
+        assert.deepEqual(header.events, ["data"]);
+        assert.equal(header.devices.light.pin, 17);
+        assert.equal(header.devices.light.interval, 200);
+        assert.equal(header.devices.light.smoothing, 5);
+        assert.equal(header.devices.light.resolution, 1023);
+        assert.equal(columns, "timestamp,device,event,value");
+
+        logger.stop();
+        sensor.disable();
+      });
+
+      it("should write the header as a JSON line when format is \"jsonl\"", function() {
+        const sink = new MemorySink();
+        const logger = new Logger({ device: new Emitter(), sink, format: "jsonl" });
+
+        assert.equal(sink.lines.length, 1);
+        assert.equal(typeof JSON.parse(sink.lines[0]).header.devices.Emitter, "object");
+        logger.stop();
+      });
+
+    });
+
+    describe("maxSize", function() {
+
+      it("should rotate the sink and rewrite the header when maxSize is reached", async function() {
+        const fs = mockFileSystem();
+        const sink = await new FileSink({ path: "/log.csv", keep: 2, fs });
+        const device = new Emitter();
+        const rotateListener = sinon.spy();
+        const logger = new Logger({ device, sink, flushInterval: 0, fields: ["value"], maxSize: 200 });
+        logger.on("rotate", rotateListener);
+
+        for (let i = 0; i < 100; i++) {
+          device.emit("data", 1000 + i);
+        }
+
+        assert.equal(rotateListener.callCount > 1, true);
+        assert.equal(fs.exists("/log.csv.1"), true);
+        assert.equal(fs.exists("/log.csv.2"), true);
+        assert.equal(fs.exists("/log.csv.3"), false);
+        assert.equal(fs.files["/log.csv"].startsWith("# "), true);
+        assert.equal(fs.files["/log.csv"].length <= 200, true);
+
+        logger.stop();
+      });
+
+    });
+
+  });
+
+  describe("Methods", function() {
+
+    describe("log", function() {
+
+      it("should add a custom record", function() {
+        const sink = new MemorySink();
+        const logger = new Logger({ device: new Emitter(), sink, header: false, flushInterval: 0, fields: ["device", "event", "version"] });
+
+        logger.log("app", "boot", { version: "1.0.0" });
+
+        assert.deepEqual(sink.lines, ["app,boot,1.0.0"]);
+        logger.stop();
+      });
+
+    });
+
+    describe("stop", function() {
+
+      it("should flush and remove the device listeners", function() {
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const logger = new Logger({ device, sink, header: false });
+
+        device.emit("data", 1);
+        logger.stop();
+        device.emit("data", 2);
+
+        assert.equal(sink.lines.length, 1);
+        assert.equal(device.listenerCount("data"), 0);
+      });
+
+    });
+
+  });
+
+  describe("Events", function() {
+
+    describe("error", function() {
+
+      it("should emit \"error\" when the sink cannot be written", function() {
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const errorListener = sinon.spy();
+        const logger = new Logger({ device, sink, header: false, flushInterval: 0 });
+        logger.on("error", errorListener);
+
+        sink.write = () => {
+          throw new Error("disk full");
+        };
+        device.emit("data", 1);
+
+        assert.equal(errorListener.callCount, 1);
+        assert.equal(errorListener.getCall(0).args[0].event, "flush");
+        logger.stop();
+      });
+
+      it("should keep the lines that could not be written for the next flush", function() {
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const write = sink.write.bind(sink);
+        const logger = new Logger({ device, sink, header: false, fields: ["value"] });
+        logger.on("error", () => {});
+
+        sink.write = () => {
+          throw new Error("disk full");
+        };
+        device.emit("data", 1);
+        logger.flush();
+
+        sink.write = write;
+        device.emit("data", 2);
+        logger.flush();
+
+        assert.deepEqual(sink.lines, ["1", "2"]);
+        logger.stop();
+      });
+
+      it("should pass header errors to the error policy", function() {
+        const sink = new MemorySink();
+        const consoleStub = sinon.stub(console, "error");
+        const write = sink.write.bind(sink);
+        sink.write = () => {
+          throw new Error("disk full");
+        };
+
+        assert.throws(() => {
+          new Logger({ device: new Emitter(), sink, fields: ["value"] });
+        }, error => error.event === "header");
+
+        const logger = new Logger({ device: new Emitter(), sink, fields: ["value"], errorPolicy: "log" });
+        consoleStub.restore();
+        assert.equal(consoleStub.callCount, 1);
+
+        // The header is written on the next flush
+        sink.write = write;
+        logger.log("app", "boot", 1);
+        logger.flush();
+        assert.equal(sink.lines[0].startsWith("# "), true);
+        assert.deepEqual(sink.lines.slice(1), ["value", "1"]);
+        logger.stop();
+      });
+
+      it("should emit \"error\" and keep writing when the sink cannot be rotated", function() {
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const errorListener = sinon.spy();
+        const rotateListener = sinon.spy();
+        sink.rotate = () => {
+          throw new Error("rename failed");
+        };
+        const logger = new Logger({ device, sink, header: false, flushInterval: 0, fields: ["value"], maxSize: 4 });
+        logger.on("error", errorListener);
+        logger.on("rotate", rotateListener);
+
+        device.emit("data", 10);
+        device.emit("data", 20);
+
+        assert.equal(errorListener.callCount, 1);
+        assert.equal(errorListener.getCall(0).args[0].event, "rotate");
+        assert.equal(rotateListener.callCount, 0);
+        assert.deepEqual(sink.lines, ["10", "20"]);
+        logger.stop();
+      });
+
+      it("should emit \"error\" when the header cannot be rewritten after rotating", function() {
+        const device = new Emitter();
+        const sink = new MemorySink();
+        const write = sink.write.bind(sink);
+        const errorListener = sinon.spy();
+        sink.rotate = () => {
+          sink.clear();
+          sink.write = text => {
+            if (text.startsWith("# ")) {
+              throw new Error("disk full");
+            }
+            write(text);
+          };
+        };
+        const logger = new Logger({ device, sink, flushInterval: 0, fields: ["value"], maxSize: 4 });
+        logger.on("error", errorListener);
+
+        device.emit("data", 10);
+
+        assert.equal(errorListener.callCount, 1);
+        assert.equal(errorListener.getCall(0).args[0].event, "header");
+        assert.deepEqual(sink.lines, ["10"]);
+        logger.stop();
+      });
+
+    });
+
+  });
+
+  describe("Sinks", function() {
+
+    describe("MemorySink", function() {
+
+      it("should keep only the most recent lines", function() {
+        const sink = new MemorySink({ size: 3 });
+        sink.write("1\n2\n");
+        sink.write("3\n4\n5\n");
+        assert.deepEqual(sink.lines, ["3", "4", "5"]);
+        assert.equal(sink.toString(), "3\n4\n5\n");
+        sink.clear();
+        assert.deepEqual(sink.lines, []);
+      });
+
+    });
+
+    describe("FileSink", function() {
+
+      it("should append to the file", async function() {
+        const fs = mockFileSystem();
+        const sink = await new FileSink({ path: "/log.csv", fs });
+        sink.write("a\n");
+        sink.write("b\n");
+        assert.equal(sink.path, "/log.csv");
+        assert.equal(fs.files["/log.csv"], "a\nb\n");
+      });
+
+    });
+
+    describe("PreferenceSink", function() {
+
+      it("should store lines in a ring of preference keys", async function() {
+        const preference = mockPreference();
+        const sink = await new PreferenceSink({ slots: 2, preference });
+        sink.write("a\nb\nc\n");
+        assert.deepEqual(sink.lines, ["b", "c"]);
+
+        const reopened = await new PreferenceSink({ slots: 2, preference });
+        reopened.write("d\n");
+        assert.deepEqual(reopened.lines, ["c", "d"]);
+      });
+
+      it("should truncate lines longer than maxLength", async function() {
+        const preference = mockPreference();
+        const sink = await new PreferenceSink({ maxLength: 4, preference });
+        sink.write("abcdef\ngh\n");
+        assert.deepEqual(sink.lines, ["abcd", "gh"]);
+
+        const defaults = await new PreferenceSink({ domain: "defaults", preference });
+        defaults.write(`${"x".repeat(100)}\n`);
+        assert.equal(defaults.lines[0].length, 63);
+      });
+
+    });
+
+  });
+
+});
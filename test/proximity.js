@@ -0,0 +1,308 @@
+import assert from "assert";
+import sinon from "sinon";
+import { Analog } from "@dtex/mock-io";
+import Proximity from "j5e/proximity";
+import Sensor from "j5e/sensor";
+
+describe("Proximity", function() {
+
+  describe("Instantiation", function() {
+
+    it("should reject the calibration option", async function() {
+      await assert.rejects(async() => {
+        await new Proximity({
+          pin: 17,
+          io: Analog,
+          calibration: [[0, 0], [1023, 100]]
+        });
+      }, /Proximity converts readings itself/);
+    });
+
+    it("should reject calibration after instantiation", async function() {
+      const proximity = await new Proximity({
+        pin: 17,
+        io: Analog
+      });
+
+      assert.throws(() => {
+        proximity.calibration = [[0, 0], [1023, 100]];
+      }, /Proximity converts readings itself/);
+      assert.throws(() => proximity.calibrate(), /Proximity converts readings itself/);
+      assert.equal(proximity.calibration, null);
+      proximity.disable();
+    });
+
+    it("should return a valid Proximity instance when passed an options object", async function() {
+      const proximity = await new Proximity({
+        pin: 17,
+        io: Analog
+      });
+      assert.equal(proximity instanceof Proximity, true);
+      assert.equal(proximity instanceof Sensor, true);
+      assert.equal(proximity.controller, "GP2Y0A21");
+      assert.deepEqual(proximity.distanceRange, [10, 80]);
+      assert.equal(proximity.outOfRange, "null");
+      assert.equal(proximity.cm, null);
+      proximity.disable();
+    });
+
+    it("should reject an unknown controller", async function() {
+      await assert.rejects(async() => {
+        await new Proximity({
+          pin: 17,
+          io: Analog,
+          controller: "HC-SR04"
+        });
+      }, /Unknown proximity controller/);
+    });
+
+  });
+
+  describe("Options", function() {
+
+    describe("controller", function() {
+
+      it("should convert GP2Y0A21 readings", async function() {
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog,
+          controller: "GP2Y0A21"
+        });
+
+        proximity.io.value = 400;
+        proximity.read();
+        assert.equal(proximity.cm, 20.4);
+        assert.equal(proximity.in, 8);
+        proximity.disable();
+      });
+
+      it("should convert GP2Y0A02 readings", async function() {
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog,
+          controller: "GP2Y0A02"
+        });
+
+        proximity.io.value = 300;
+        proximity.read();
+        assert.equal(proximity.cm, 62.7);
+        assert.deepEqual(proximity.distanceRange, [20, 150]);
+        proximity.disable();
+      });
+
+      it("should convert GP2Y0A41 readings", async function() {
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog,
+          controller: "gp2y0a41"
+        });
+
+        proximity.io.value = 500;
+        proximity.read();
+        assert.equal(proximity.cm, 7.3);
+        assert.deepEqual(proximity.distanceRange, [4, 30]);
+        proximity.disable();
+      });
+
+    });
+
+    describe("outOfRange", function() {
+
+      it("should report null outside the range by default", async function() {
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog
+        });
+
+        proximity.io.value = 100;
+        proximity.read();
+        assert.equal(proximity.cm, null);
+        assert.equal(proximity.in, null);
+
+        proximity.io.value = 1000;
+        proximity.read();
+        assert.equal(proximity.cm, null);
+        proximity.disable();
+      });
+
+      it("should clamp to the range when outOfRange is \"clamp\"", async function() {
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog,
+          outOfRange: "clamp"
+        });
+
+        proximity.io.value = 100;
+        proximity.read();
+        assert.equal(proximity.cm, 80);
+
+        proximity.io.value = 1000;
+        proximity.read();
+        assert.equal(proximity.cm, 10);
+        proximity.disable();
+      });
+
+      it("should throw on an unknown value", async function() {
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog
+        });
+
+        assert.throws(() => {
+          proximity.outOfRange = "ignore";
+        }, /outOfRange/);
+        proximity.disable();
+      });
+
+    });
+
+    describe("eventFormat", function() {
+
+      it("should add cm and in to reading objects", async function() {
+        const clock = sinon.useFakeTimers();
+        const dataSpy = sinon.spy();
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog,
+          eventFormat: "object"
+        });
+
+        proximity.on("data", dataSpy);
+        proximity.io.value = 400;
+        clock.tick(1000);
+
+        const reading = dataSpy.getCall(0).args[0];
+        assert.equal(reading.value, 20);
+        assert.equal(reading.cm, 20.4);
+        assert.equal(reading.in, 8);
+
+        clock.restore();
+        proximity.disable();
+      });
+
+    });
+
+  });
+
+  describe("Events", function() {
+
+    describe("change", function() {
+
+      it("should emit change when the distance changes by threshold centimeters", async function() {
+        const clock = sinon.useFakeTimers();
+        const changeSpy = sinon.spy();
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog,
+          threshold: 5
+        });
+
+        proximity.on("change", changeSpy);
+
+        // 20.4cm
+        proximity.io.value = 400;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 1);
+
+        // 22.1cm
+        proximity.io.value = 375;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 1);
+
+        // 31.6cm
+        proximity.io.value = 280;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 2);
+
+        clock.restore();
+        proximity.disable();
+      });
+
+    });
+
+    describe("outOfRange", function() {
+
+      it("should not emit data or change for distances outside the range by default", async function() {
+        const clock = sinon.useFakeTimers();
+        const dataSpy = sinon.spy();
+        const changeSpy = sinon.spy();
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog
+        });
+
+        proximity.on("data", dataSpy);
+        proximity.on("change", changeSpy);
+
+        proximity.io.value = 20;
+        clock.tick(1000);
+        assert.equal(proximity.cm, null);
+        assert.equal(dataSpy.callCount, 0);
+        assert.equal(changeSpy.callCount, 0);
+
+        // 20.4cm
+        proximity.io.value = 400;
+        clock.tick(1000);
+        assert.equal(dataSpy.callCount > 0, true);
+        assert.deepEqual(changeSpy.args, [[20]]);
+
+        clock.restore();
+        proximity.disable();
+      });
+
+      it("should emit the nearest end of the range when outOfRange is \"clamp\"", async function() {
+        const clock = sinon.useFakeTimers();
+        const changeSpy = sinon.spy();
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog,
+          outOfRange: "clamp"
+        });
+
+        proximity.on("change", changeSpy);
+
+        proximity.io.value = 20;
+        clock.tick(1000);
+        assert.deepEqual(changeSpy.args, [[80]]);
+
+        clock.restore();
+        proximity.disable();
+      });
+
+    });
+
+    describe("enter", function() {
+
+      it("should watch a range in inches", async function() {
+        const clock = sinon.useFakeTimers();
+        const enterSpy = sinon.spy();
+        const proximity = await new Proximity({
+          pin: 17,
+          io: Analog
+        });
+
+        proximity.within([0, 12], "in", { enter: enterSpy });
+
+        proximity.io.value = 150;
+        clock.tick(1000);
+        assert.equal(enterSpy.callCount, 0);
+
+        // Out of range is null, not 0
+        proximity.io.value = 50;
+        clock.tick(1000);
+        assert.equal(enterSpy.callCount, 0);
+
+        proximity.io.value = 400;
+        clock.tick(1000);
+        assert.equal(enterSpy.callCount, 1);
+        assert.equal(enterSpy.getCall(0).args[0], 8);
+
+        clock.restore();
+        proximity.disable();
+      });
+
+    });
+
+  });
+
+});
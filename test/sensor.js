@@ -5,6 +5,24 @@ import Sensor from "j5e/sensor";
 import { Emitter } from "j5e/event";
 import Withinable from "j5e/withinable";
 
+// An analog provider that supports onReadable callbacks
+class ReadableAnalog extends Analog {
+  constructor(options) {
+    super(options);
+    this.onReadable = options.onReadable;
+  }
+}
+
+// An analog provider that does not support onReadable
+class StrictAnalog extends Analog {
+  constructor(options) {
+    if (typeof options.onReadable !== "undefined") {
+      throw new Error("onReadable is not supported");
+    }
+    super(options);
+  }
+}
+
 describe("Sensor", function() {
 
   describe("Instantiation", async function() {
@@ -264,28 +282,849 @@ describe("Sensor", function() {
             calls["limit:upper"]++;
           });
 
-          clock.tick(1005);
-          sensor.io.value = 127;
-          clock.tick(1005);
-          sensor.io.value = 256;
-          clock.tick(1005);
+          clock.tick(1005);
+          sensor.io.value = 127;
+          clock.tick(1005);
+          sensor.io.value = 256;
+          clock.tick(1005);
+          sensor.io.value = 512;
+          clock.tick(1005);
+          sensor.io.value = 768;
+          clock.tick(1005);
+          sensor.io.value = 895;
+          clock.tick(1005);
+          sensor.io.value = 1023;
+          clock.tick(1005);
+
+          assert.equal(calls.lower, 1);
+          assert.equal(calls.upper, 1);
+          assert.equal(calls["limit:lower"], 1);
+          assert.equal(calls["limit:upper"], 1);
+
+          clock.restore();
+          sensor.disable();
+
+        });
+
+      });
+
+      describe("filter", function() {
+
+        it("should default to a batched median", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog
+          });
+          assert.equal(sensor.filter, "median");
+          assert.equal(sensor.sliding, false);
+          sensor.disable();
+        });
+
+        it("should emit a moving average on every read", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            filter: "movingAverage",
+            smoothing: 4
+          });
+
+          sensor.on("data", dataSpy);
+
+          [10, 20, 30, 40, 50].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.equal(sensor.sliding, true);
+          assert.deepEqual(dataSpy.args.map(args => args[0]), [10, 15, 20, 25, 35]);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should emit the root mean square of each batch", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            filter: "rms",
+            smoothing: 2
+          });
+
+          sensor.on("data", dataSpy);
+
+          [30, 40].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.equal(sensor.sliding, false);
+          assert.equal(dataSpy.callCount, 1);
+          assert.equal(sensor.filtered.toFixed(3), "35.355");
+          assert.equal(dataSpy.getCall(0).args[0], 35);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should emit a rolling median on every read", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            filter: "rollingMedian",
+            smoothing: 3
+          });
+
+          sensor.on("data", dataSpy);
+
+          [10, 500, 20, 30, 40].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.deepEqual(dataSpy.args.map(args => args[0]), [10, 255, 20, 30, 30]);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should accept filter parameters in an object", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            filter: { type: "ema", alpha: 0.5 }
+          });
+
+          sensor.on("data", dataSpy);
+
+          [100, 200, 200].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.deepEqual(dataSpy.args.map(args => args[0]), [100, 150, 175]);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should converge with the kalman filter", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            filter: "kalman"
+          });
+
+          sensor.on("data", dataSpy);
+
+          sensor.io.value = 100;
+          clock.tick(100);
+          sensor.io.value = 200;
+          clock.tick(100);
+
+          assert.equal(dataSpy.args[0][0], 100);
+          assert.equal(dataSpy.args[1][0] > 100 && dataSpy.args[1][0] < 200, true);
+
+          clock.tick(10000);
+          assert.equal(dataSpy.lastCall.args[0], 200);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should accept a user supplied filter", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            smoothing: 3,
+            filter: samples => Math.max(...samples)
+          });
+
+          sensor.on("data", dataSpy);
+
+          [10, 30, 20].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.equal(dataSpy.callCount, 1);
+          assert.equal(dataSpy.lastCall.args[0], 30);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should throw on an unknown filter", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog
+          });
+
+          assert.throws(() => {
+            sensor.filter = "bogus";
+          }, /Unknown sensor filter/);
+          sensor.disable();
+        });
+
+      });
+
+      describe("sliding", function() {
+
+        it("should emit a median on every read when sliding is true", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            smoothing: 3,
+            sliding: true
+          });
+
+          sensor.on("data", dataSpy);
+
+          [10, 20, 30, 40].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.deepEqual(dataSpy.args.map(args => args[0]), [10, 15, 20, 30]);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should default to false for a filter function", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            smoothing: 3,
+            filter: samples => Math.max(...samples)
+          });
+
+          assert.equal(sensor.sliding, false);
+
+          sensor.on("data", dataSpy);
+
+          [10, 30, 20, 40, 50, 60].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.deepEqual(dataSpy.args.map(args => args[0]), [30, 60]);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+      });
+
+      describe("calibration", function() {
+
+        it("should interpolate between calibration points", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            calibration: [[100, 80], [300, 30], [600, 10]]
+          });
+
+          sensor.io.value = 200;
+          assert.equal(sensor.read(), 55);
+          sensor.io.value = 450;
+          assert.equal(sensor.read(), 20);
+          sensor.io.value = 1000;
+          assert.equal(sensor.read(), 10);
+          assert.equal(sensor.raw, 1000);
+
+          sensor.disable();
+        });
+
+        it("should accept unsorted calibration points", async function() {
+          const points = [[600, 10], [100, 80], [300, 30]];
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            calibration: points
+          });
+
+          sensor.io.value = 200;
+          assert.equal(sensor.read(), 55);
+          assert.deepEqual(points, [[600, 10], [100, 80], [300, 30]]);
+
+          sensor.disable();
+        });
+
+        it("should accept polynomial coefficients", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            calibration: { coefficients: [1, 2, 0.5] }
+          });
+
+          sensor.io.value = 10;
+          assert.equal(sensor.read(), 71);
+
+          sensor.disable();
+        });
+
+        it("should accept a transform function", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            calibration: raw => raw * 2
+          });
+
+          sensor.io.value = 10;
+          assert.equal(sensor.read(), 20);
+
+          sensor.disable();
+        });
+
+        it("should throw when passed a single point", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog
+          });
+
+          assert.throws(() => {
+            sensor.calibration = [[0, 0]];
+          }, /at least two points/);
+
+          sensor.disable();
+        });
+
+      });
+
+      describe("limitHysteresis", function() {
+
+        it("should not clear the limit until the value is past the hysteresis band", async function() {
+          const clock = sinon.useFakeTimers();
+          const limitSpy = sinon.spy();
+          const clearSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            limit: [256, 768],
+            limitHysteresis: 50
+          });
+
+          sensor.on("limit", limitSpy);
+          sensor.on("limit:clear", clearSpy);
+
+          sensor.io.value = 800;
+          clock.tick(1005);
+          assert.equal(limitSpy.callCount, 1);
+          assert.equal(sensor.limitBoundary, "upper");
+
+          sensor.io.value = 740;
+          clock.tick(1005);
+          sensor.io.value = 780;
+          clock.tick(1005);
+          assert.equal(limitSpy.callCount, 1);
+          assert.equal(clearSpy.callCount, 0);
+
+          sensor.io.value = 700;
+          clock.tick(1005);
+          assert.equal(clearSpy.callCount, 1);
+          assert.deepEqual(clearSpy.getCall(0).args[0], { boundary: "upper", value: 700 });
+          assert.equal(sensor.limitBoundary, null);
+
+          sensor.io.value = 780;
+          clock.tick(1005);
+          assert.equal(limitSpy.callCount, 2);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+      });
+
+      describe("latch", function() {
+
+        it("should not emit limit events again until acknowledged", async function() {
+          const clock = sinon.useFakeTimers();
+          const limitSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            limit: [256, 768],
+            latch: true
+          });
+
+          sensor.on("limit", limitSpy);
+
+          sensor.io.value = 800;
+          clock.tick(1005);
+          assert.equal(limitSpy.callCount, 1);
+          assert.equal(sensor.isLatched, true);
+
+          sensor.io.value = 500;
+          clock.tick(1005);
+          sensor.io.value = 100;
+          clock.tick(1005);
+          assert.equal(limitSpy.callCount, 1);
+
+          sensor.acknowledge();
+          assert.equal(sensor.isLatched, false);
+          sensor.io.value = 500;
+          clock.tick(1005);
+          sensor.io.value = 100;
+          clock.tick(1005);
+          assert.equal(limitSpy.callCount, 2);
+          assert.equal(limitSpy.getCall(1).args[0].boundary, "lower");
+
+          clock.restore();
+          sensor.disable();
+        });
+
+      });
+
+      describe("history", function() {
+
+        it("should keep the last N filtered values with timestamps", async function() {
+          const clock = sinon.useFakeTimers();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            filter: "movingAverage",
+            smoothing: 1,
+            history: 3
+          });
+
+          [10, 20, 30, 40].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.deepEqual(sensor.history, [
+            { timestamp: 200, value: 20 },
+            { timestamp: 300, value: 30 },
+            { timestamp: 400, value: 40 }
+          ]);
+
+          const stats = sensor.stats;
+          assert.equal(stats.min, 20);
+          assert.equal(stats.max, 40);
+          assert.equal(stats.mean, 30);
+          assert.equal(stats.stddev.toFixed(3), "8.165");
+          assert.equal(stats.slope, 100);
+          assert.equal(stats.count, 3);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should keep the values from the last T milliseconds", async function() {
+          const clock = sinon.useFakeTimers();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            filter: "movingAverage",
+            smoothing: 1,
+            history: { duration: 250 }
+          });
+
+          [10, 20, 30, 40, 50].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+
+          assert.deepEqual(sensor.history.map(sample => sample.value), [30, 40, 50]);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+        it("should return empty stats when history is not enabled", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog
+          });
+
+          assert.deepEqual(sensor.history, []);
+          assert.equal(sensor.stats.count, 0);
+          assert.equal(sensor.stats.mean, null);
+
+          sensor.disable();
+        });
+
+      });
+
+      describe("rateThreshold", function() {
+
+        it("should accept a number for both directions", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            rateThreshold: 100
+          });
+
+          assert.deepEqual(sensor.rateThreshold, { rising: 100, falling: 100 });
+          sensor.disable();
+        });
+
+        it("should emit rate:rising and rate:falling once per crossing", async function() {
+          const clock = sinon.useFakeTimers();
+          const risingSpy = sinon.spy();
+          const fallingSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            filter: "movingAverage",
+            smoothing: 1,
+            rateThreshold: { rising: 500, falling: 1000 }
+          });
+
+          sensor.on("rate:rising", risingSpy);
+          sensor.on("rate:falling", fallingSpy);
+
+          // 10 units per 100ms is 100 units per second
+          [100, 110, 120].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+          assert.equal(sensor.rate, 100);
+          assert.equal(risingSpy.callCount, 0);
+
+          // 600 units per second, twice
+          [180, 240].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+          assert.equal(risingSpy.callCount, 1);
+          assert.equal(risingSpy.getCall(0).args[0], 600);
+
+          // Steady and then rising again
+          [240, 300].forEach(value => {
+            sensor.io.value = value;
+            clock.tick(100);
+          });
+          assert.equal(risingSpy.callCount, 2);
+
+          // -500 units per second is not past the falling threshold
+          sensor.io.value = 250;
+          clock.tick(100);
+          assert.equal(fallingSpy.callCount, 0);
+
+          sensor.io.value = 100;
+          clock.tick(100);
+          assert.equal(fallingSpy.callCount, 1);
+          assert.equal(sensor.rate, -1500);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+      });
+
+      describe("lazy", function() {
+
+        it("should only read while something is listening", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataListener = sinon.spy();
+          const changeListener = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            lazy: true
+          });
+
+          const readSpy = sinon.spy(sensor.io, "read");
+
+          clock.tick(1050);
+          assert.equal(readSpy.callCount, 0);
+
+          sensor.on("error", () => {});
+          clock.tick(1000);
+          assert.equal(readSpy.callCount, 0);
+
+          sensor.on("data", dataListener);
+          sensor.on("change", changeListener);
+          clock.tick(1000);
+          assert.equal(readSpy.callCount, 10);
+
+          sensor.off("data", dataListener);
+          clock.tick(1000);
+          assert.equal(readSpy.callCount, 20);
+
+          sensor.off("change", changeListener);
+          clock.tick(1000);
+          assert.equal(readSpy.callCount, 20);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+      });
+
+      describe("readable", function() {
+
+        it("should read when the provider calls onReadable instead of polling", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: ReadableAnalog,
+            readable: true,
+            smoothing: 2
+          });
+
+          sensor.on("data", dataSpy);
+          const readSpy = sinon.spy(sensor.io, "read");
+
+          clock.tick(1050);
+          assert.equal(readSpy.callCount, 0);
+
+          sensor.io.value = 100;
+          sensor.io.onReadable();
+          sensor.io.onReadable();
+          assert.equal(readSpy.callCount, 2);
+          assert.equal(dataSpy.callCount, 1);
+          assert.equal(dataSpy.getCall(0).args[0], 100);
+
+          sensor.disable();
+          sensor.io.onReadable();
+          assert.equal(readSpy.callCount, 2);
+
+          clock.restore();
+        });
+
+        it("should poll until the provider first calls onReadable", async function() {
+          const clock = sinon.useFakeTimers();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: ReadableAnalog
+          });
+
+          const readSpy = sinon.spy(sensor.io, "read");
+
+          clock.tick(1000);
+          assert.equal(readSpy.callCount, 10);
+
+          sensor.io.onReadable();
+          assert.equal(readSpy.callCount, 11);
+
+          clock.tick(1000);
+          assert.equal(readSpy.callCount, 11);
+
+          sensor.disable();
+          clock.restore();
+        });
+
+        it("should poll a provider that does not support onReadable", async function() {
+          const clock = sinon.useFakeTimers();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: StrictAnalog
+          });
+
+          const readSpy = sinon.spy(sensor.io, "read");
+
+          clock.tick(1000);
+          assert.equal(readSpy.callCount, 10);
+
+          sensor.disable();
+          clock.restore();
+        });
+
+      });
+
+      describe("oversample", function() {
+
+        it("should take N reads per interval and pass each through the filter", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            oversample: 5,
+            smoothing: 5
+          });
+
+          sensor.on("data", dataSpy);
+          const readStub = sinon.stub(sensor.io, "read");
+          [10, 500, 12, 11, 13].forEach((value, index) => readStub.onCall(index).returns(value));
+
+          clock.tick(100);
+
+          assert.equal(sensor.oversample, 5);
+          assert.equal(readStub.callCount, 5);
+          assert.equal(dataSpy.callCount, 1);
+          assert.equal(dataSpy.getCall(0).args[0], 12);
+          assert.equal(sensor.raw, 109.2);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+      });
+
+      describe("decimate", function() {
+
+        it("should add bits of resolution", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            decimate: 2
+          });
+
+          const readStub = sinon.stub(sensor.io, "read");
+          [...Array(16).keys()].forEach(index => readStub.onCall(index).returns(index % 2 ? 513 : 512));
+
+          assert.equal(sensor.resolution, 4095);
+          assert.deepEqual(sensor.range, [0, 4095]);
+
+          sensor.read();
+          assert.equal(readStub.callCount, 16);
+          assert.equal(sensor.raw, 2050);
+          assert.equal(sensor.value, 2050);
+          assert.equal(sensor.scaleTo(0, 4095), 2050);
+          assert.equal(sensor.fscaleTo(0, 1).toFixed(4), "0.5006");
+
+          sensor.disable();
+        });
+
+        it("should update the default range and scale when set after instantiation", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog
+          });
+
+          sensor.decimate = 2;
+          sinon.stub(sensor.io, "read").returns(800);
+
+          assert.deepEqual(sensor.range, [0, 4095]);
+          assert.deepEqual(sensor.scale(), [0, 4095]);
+
+          sensor.read();
+          assert.equal(sensor.raw, 3200);
+          assert.equal(sensor.value, 3200);
+
+          sensor.disable();
+        });
+
+        it("should keep a range and scale that were set by the user", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            range: [0, 1023],
+            scale: [0, 100]
+          });
+
+          sensor.decimate = 2;
+
+          assert.deepEqual(sensor.range, [0, 1023]);
+          assert.deepEqual(sensor.scale(), [0, 100]);
+
+          sensor.disable();
+        });
+
+      });
+
+      describe("precision", function() {
+
+        it("should round event values to precision decimal places", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            scale: [0, 1],
+            precision: 2
+          });
+
+          assert.equal(sensor.precision, 2);
+          sensor.on("data", dataSpy);
+          sensor.io.value = 512;
+          clock.tick(1000);
+
+          assert.equal(dataSpy.getCall(0).args[0], 0.5);
+          assert.equal(sensor.filtered, 512 / 1023);
+
+          clock.restore();
+          sensor.disable();
+        });
+
+      });
+
+      describe("eventFormat", function() {
+
+        it("should default to number", async function() {
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog
+          });
+
+          assert.equal(sensor.eventFormat, "number");
+          assert.throws(() => {
+            sensor.eventFormat = "string";
+          }, Error);
+          sensor.disable();
+        });
+
+        it("should pass reading objects to data and change listeners", async function() {
+          const clock = sinon.useFakeTimers();
+          const dataSpy = sinon.spy();
+          const changeSpy = sinon.spy();
+
+          let sensor = await new Sensor({
+            pin: 17,
+            io: Analog,
+            eventFormat: "object",
+            scale: [0, 100]
+          });
+
+          sensor.on("data", dataSpy);
+          sensor.on("change", changeSpy);
           sensor.io.value = 512;
-          clock.tick(1005);
-          sensor.io.value = 768;
-          clock.tick(1005);
-          sensor.io.value = 895;
-          clock.tick(1005);
-          sensor.io.value = 1023;
-          clock.tick(1005);
-
-          assert.equal(calls.lower, 3);
-          assert.equal(calls.upper, 3);
-          assert.equal(calls["limit:lower"], 3);
-          assert.equal(calls["limit:upper"], 3);
+          clock.tick(1000);
+
+          const reading = dataSpy.getCall(0).args[0];
+          assert.deepEqual(reading, {
+            value: 50,
+            raw: 512,
+            scaled: reading.scaled,
+            level: reading.level,
+            timestamp: 1000,
+            samples: 10
+          });
+          assert.equal(reading.scaled.toFixed(2), "50.05");
+          assert.equal(reading.level.toFixed(2), "0.50");
+          assert.equal(changeSpy.getCall(0).args[0], reading);
 
           clock.restore();
           sensor.disable();
-
         });
 
       });
@@ -607,6 +1446,39 @@ describe("Sensor", function() {
       });
     });
 
+    describe("rate", function() {
+
+      it("should return null before two filtered values", async function() {
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        assert.equal(sensor.rate, null);
+        sensor.disable();
+      });
+
+      it("should return the rate of change in units per second", async function() {
+        const clock = sinon.useFakeTimers();
+
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        sensor.io.value = 100;
+        clock.tick(1000);
+        sensor.io.value = 300;
+        clock.tick(1000);
+
+        assert.equal(sensor.rate, 200);
+
+        clock.restore();
+        sensor.disable();
+      });
+
+    });
+
     describe("resolution", function() {
 
       it("should return 2^10-1", async function() {
@@ -719,10 +1591,10 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 3);
-        assert.equal(calls.upper, 3);
-        assert.equal(calls["limit:lower"], 3);
-        assert.equal(calls["limit:upper"], 3);
+        assert.equal(calls.lower, 1);
+        assert.equal(calls.upper, 1);
+        assert.equal(calls["limit:lower"], 1);
+        assert.equal(calls["limit:upper"], 1);
 
         sensor.limit = [200, 800];
 
@@ -739,10 +1611,10 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 4);
-        assert.equal(calls.upper, 5);
-        assert.equal(calls["limit:lower"], 4);
-        assert.equal(calls["limit:upper"], 5);
+        assert.equal(calls.lower, 2);
+        assert.equal(calls.upper, 2);
+        assert.equal(calls["limit:lower"], 2);
+        assert.equal(calls["limit:upper"], 2);
 
         clock.restore();
         sensor.disable();
@@ -1024,6 +1896,95 @@ describe("Sensor", function() {
       });
     });
 
+    describe("acknowledge", function() {
+
+      it("should clear the latch and return the instance", async function() {
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          limit: [256, 768],
+          latch: true
+        });
+
+        assert.equal(sensor.acknowledge(), sensor);
+        assert.equal(sensor.isLatched, false);
+
+        sensor.disable();
+      });
+
+    });
+
+    describe("calibrate", function() {
+
+      it("should capture points from live readings and export them", async function() {
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        const calibration = sensor.calibrate();
+
+        sensor.io.value = 600;
+        assert.equal(calibration.capture(10), 600);
+        sensor.io.value = 200;
+        calibration.capture(40, 3);
+
+        assert.deepEqual(calibration.points, [[600, 10], [200, 40]]);
+        assert.equal(sensor.calibration, null);
+
+        calibration.apply();
+        sensor.io.value = 400;
+        assert.equal(sensor.read(), 25);
+
+        const saved = JSON.parse(JSON.stringify(calibration));
+        assert.deepEqual(saved, { points: [[600, 10], [200, 40]] });
+        assert.deepEqual(sensor.calibration, saved);
+
+        sensor.disable();
+      });
+
+      it("should capture decimated readings on the same scale as raw", async function() {
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          decimate: 2
+        });
+
+        const calibration = sensor.calibrate();
+
+        sensor.io.value = 100;
+        assert.equal(calibration.capture(10), 400);
+        sensor.io.value = 200;
+        calibration.capture(20);
+        calibration.apply();
+
+        sensor.io.value = 100;
+        assert.equal(sensor.read(), 10);
+
+        sensor.disable();
+      });
+
+    });
+
+    describe("sample", function() {
+
+      it("should return the median of several reads", async function() {
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        const readStub = sinon.stub(sensor.io, "read");
+        [500, 900, 510, 505, 0].forEach((value, index) => readStub.onCall(index).returns(value));
+
+        assert.equal(sensor.sample(5), 505);
+        assert.equal(readStub.callCount, 5);
+
+        sensor.disable();
+      });
+
+    });
+
     describe("scale", function() {
 
       it("should accept two params or an array", async function() {
@@ -1124,6 +2085,144 @@ describe("Sensor", function() {
 
         clock.restore();
       });
+
+      it("should stop firing after the handle is cancelled", async function() {
+
+        const clock = sinon.useFakeTimers();
+        const withinSpy = sinon.spy();
+
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        const handle = sensor.within([150, 160], withinSpy);
+
+        sensor.io.value = 155;
+        clock.tick(2000);
+        assert.equal(withinSpy.callCount, 2);
+
+        handle.cancel();
+        clock.tick(2000);
+        assert.equal(withinSpy.callCount, 2);
+
+        clock.restore();
+        sensor.disable();
+      });
+
+      it("should return a handle that can be cancelled when the unit does not exist", async function() {
+
+        const withinSpy = sinon.spy();
+
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        const handle = sensor.within([0, 10], "nonexistent", withinSpy);
+
+        assert.doesNotThrow(() => handle.cancel());
+        assert.equal(handle.inside, false);
+        assert.equal(sensor.listenerCount("data"), 0);
+
+        sensor.disable();
+      });
+
+      it("should fire enter and exit once per transition", async function() {
+
+        const clock = sinon.useFakeTimers();
+        const enterSpy = sinon.spy();
+        const exitSpy = sinon.spy();
+        const enterEvent = sinon.spy();
+
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        sensor.on("enter", enterEvent);
+        const handle = sensor.within([150, 160], {
+          enter: enterSpy,
+          exit: exitSpy
+        });
+
+        sensor.io.value = 100;
+        clock.tick(2000);
+        assert.equal(enterSpy.callCount, 0);
+        assert.equal(exitSpy.callCount, 0);
+
+        sensor.io.value = 155;
+        clock.tick(5000);
+        assert.equal(enterSpy.callCount, 1);
+        assert.equal(enterSpy.getCall(0).args[0], 155);
+        assert.equal(enterEvent.callCount, 1);
+        assert.deepEqual(enterEvent.getCall(0).args[0], { range: [150, 160], unit: "value", value: 155 });
+        assert.equal(handle.inside, true);
+
+        sensor.io.value = 200;
+        clock.tick(5000);
+        assert.equal(exitSpy.callCount, 1);
+        assert.equal(handle.inside, false);
+
+        clock.restore();
+        sensor.disable();
+      });
+
+      it("should not exit until the value leaves the hysteresis band", async function() {
+
+        const clock = sinon.useFakeTimers();
+        const exitSpy = sinon.spy();
+
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        sensor.within([150, 160], { hysteresis: 5, exit: exitSpy });
+
+        sensor.io.value = 155;
+        clock.tick(1000);
+        sensor.io.value = 164;
+        clock.tick(3000);
+        assert.equal(exitSpy.callCount, 0);
+
+        sensor.io.value = 166;
+        clock.tick(1000);
+        assert.equal(exitSpy.callCount, 1);
+
+        clock.restore();
+        sensor.disable();
+      });
+
+      it("should wait for the dwell time before entering", async function() {
+
+        const clock = sinon.useFakeTimers();
+        const enterSpy = sinon.spy();
+
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        sensor.within([150, 160], { dwell: 3000, enter: enterSpy });
+
+        sensor.io.value = 155;
+        clock.tick(2000);
+        sensor.io.value = 100;
+        clock.tick(1000);
+        assert.equal(enterSpy.callCount, 0);
+
+        sensor.io.value = 155;
+        clock.tick(3000);
+        assert.equal(enterSpy.callCount, 0);
+        clock.tick(1000);
+        assert.equal(enterSpy.callCount, 1);
+        clock.tick(5000);
+        assert.equal(enterSpy.callCount, 1);
+
+        clock.restore();
+        sensor.disable();
+      });
     });
 
   });
@@ -1373,8 +2472,8 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 3);
-        assert.equal(calls.upper, 3);
+        assert.equal(calls.lower, 1);
+        assert.equal(calls.upper, 1);
 
         sensor.disable();
 
@@ -1392,8 +2491,8 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 3);
-        assert.equal(calls.upper, 3);
+        assert.equal(calls.lower, 1);
+        assert.equal(calls.upper, 1);
 
         sensor.enable();
 
@@ -1411,8 +2510,8 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls.lower, 5);
-        assert.equal(calls.upper, 7);
+        assert.equal(calls.lower, 2);
+        assert.equal(calls.upper, 2);
 
         clock.restore();
         sensor.disable();
@@ -1454,7 +2553,7 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:lower"], 3);
+        assert.equal(calls["limit:lower"], 1);
 
         sensor.disable();
 
@@ -1472,7 +2571,7 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:lower"], 3);
+        assert.equal(calls["limit:lower"], 1);
 
         sensor.enable();
 
@@ -1490,7 +2589,7 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:lower"], 5);
+        assert.equal(calls["limit:lower"], 2);
 
         clock.restore();
         sensor.disable();
@@ -1531,7 +2630,7 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:upper"], 3);
+        assert.equal(calls["limit:upper"], 1);
 
         sensor.disable();
 
@@ -1549,7 +2648,7 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:upper"], 3);
+        assert.equal(calls["limit:upper"], 1);
 
         sensor.enable();
 
@@ -1567,11 +2666,133 @@ describe("Sensor", function() {
         sensor.io.value = 1023;
         clock.tick(1005);
 
-        assert.equal(calls["limit:upper"], 7);
+        assert.equal(calls["limit:upper"], 2);
+
+        clock.restore();
+        sensor.disable();
+
+      });
+    });
+
+    describe("limit:clear", function() {
+      it("should emit limit:clear when the value returns from a limit", async function() {
+
+        const clock = sinon.useFakeTimers();
+        const clearSpy = sinon.spy();
+
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          limit: [256, 768]
+        });
+
+        sensor.on("limit:clear", clearSpy);
+
+        sensor.io.value = 100;
+        clock.tick(1005);
+        clock.tick(1005);
+        assert.equal(clearSpy.callCount, 0);
+
+        sensor.io.value = 512;
+        clock.tick(1005);
+        assert.equal(clearSpy.callCount, 1);
+        assert.deepEqual(clearSpy.getCall(0).args[0], { boundary: "lower", value: 512 });
+
+        sensor.io.value = 1000;
+        clock.tick(1005);
+        sensor.io.value = 0;
+        clock.tick(1005);
+        assert.equal(clearSpy.callCount, 2);
+        assert.equal(clearSpy.getCall(1).args[0].boundary, "upper");
+        assert.equal(sensor.limitBoundary, "lower");
+
+        clock.restore();
+        sensor.disable();
+      });
+    });
+
+    describe("stats", function() {
+      it("should emit stats once per window", async function() {
+
+        const clock = sinon.useFakeTimers();
+        const statsSpy = sinon.spy();
+
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          smoothing: 2,
+          history: 5
+        });
+
+        sensor.on("stats", statsSpy);
+        sensor.io.value = 100;
+
+        clock.tick(900);
+        assert.equal(statsSpy.callCount, 0);
+        clock.tick(100);
+        assert.equal(statsSpy.callCount, 1);
+        assert.equal(statsSpy.getCall(0).args[0].mean, 100);
+        assert.equal(statsSpy.getCall(0).args[0].count, 5);
+        clock.tick(1000);
+        assert.equal(statsSpy.callCount, 2);
 
         clock.restore();
         sensor.disable();
+      });
+    });
+
+    describe("error", function() {
+      it("should emit an error event when the IO read fails", async function() {
+        const clock = sinon.useFakeTimers();
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog
+        });
+
+        const errorSpy = sinon.spy();
+        const dataSpy = sinon.spy();
+        sensor.on("error", errorSpy);
+        sensor.on("raw", dataSpy);
+
+        sinon.stub(sensor.io, "read").throws(new Error("IO failure"));
+        clock.tick(250);
+
+        assert.equal(errorSpy.callCount, 2);
+        assert.equal(errorSpy.getCall(0).args[0].event, "read");
+        assert.equal(errorSpy.getCall(0).args[0].device, sensor);
+        assert.equal(dataSpy.callCount, 0);
+
+        clock.restore();
+        sensor.disable();
+      });
+
+      it("should finish processing a reading before rethrowing a listener's error", async function() {
+        let sensor = await new Sensor({
+          pin: 17,
+          io: Analog,
+          enabled: false,
+          smoothing: 2
+        });
+
+        const changeSpy = sinon.spy();
+        sensor.on("data", () => {
+          throw new Error("Listener failure");
+        });
+        sensor.on("change", changeSpy);
+
+        sensor.io.value = 512;
+        sensor.eventProcessing();
+        assert.throws(() => sensor.eventProcessing(), /Listener failure/);
+        assert.equal(changeSpy.callCount, 1);
+
+        // The sample window was reset, so one read is not enough for a reading
+        sensor.io.value = 600;
+        sensor.eventProcessing();
+        assert.throws(() => sensor.eventProcessing(), /Listener failure/);
+        assert.equal(changeSpy.callCount, 2);
+        assert.equal(changeSpy.getCall(1).args[0], 600);
 
+        sensor.disable();
       });
     });
 
@@ -4,6 +4,20 @@ import sinon from "sinon";
 import { Digital } from "@dtex/mock-io";
 import Switch from "j5e/switch";
 
+// A digital provider without edge callbacks, like an I2C expander
+class PolledDigital extends Digital {
+  constructor(options) {
+    if (typeof options.edge !== "undefined") {
+      throw new Error("Edge callbacks are not supported");
+    }
+    super(options);
+  }
+
+  write(value) {
+    this.value = value;
+  }
+}
+
 describe("Switch", function() {
 
   describe("Instantiation", function() {
@@ -18,8 +32,282 @@ describe("Switch", function() {
     });
   });
 
+  describe("Options", function() {
+
+    describe("isPullup", function() {
+
+      it("should read low as closed when the isPullup option is true", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          isPullup: true
+        });
+
+        myswitch.io.write(0);
+        assert.equal(myswitch.isClosed, true);
+        assert.equal(myswitch.isOpen, false);
+        assert.equal(myswitch.closedValue, 0);
+        assert.equal(myswitch.openValue, 1);
+
+        myswitch.io.write(1);
+        assert.equal(myswitch.isClosed, false);
+        assert.equal(myswitch.isOpen, true);
+      });
+
+      it("should fire \"close\" when a pulled up pin goes low", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          isPullup: true
+        });
+
+        const closeListener = sinon.stub();
+        const changeListener = sinon.stub();
+        myswitch.on("close", closeListener);
+        myswitch.on("change", changeListener);
+
+        myswitch.io.write(1);
+        myswitch.io.write(0);
+
+        assert.equal(closeListener.callCount, 1);
+        assert.deepEqual(changeListener.args, [[false], [true]]);
+      });
+
+    });
+
+    describe("isPulldown", function() {
+
+      it("should read high as closed when the isPulldown option is true", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          isPulldown: true
+        });
+
+        myswitch.io.write(1);
+        assert.equal(myswitch.isClosed, true);
+        assert.equal(myswitch.closedValue, 1);
+      });
+
+    });
+
+    describe("invert", function() {
+
+      it("should invert state when the invert option is true", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          invert: true
+        });
+
+        myswitch.io.write(0);
+        assert.equal(myswitch.isClosed, true);
+        assert.equal(myswitch.invert, true);
+
+        myswitch.invert = false;
+        assert.equal(myswitch.isClosed, false);
+      });
+
+    });
+
+    describe("type", function() {
+
+      it("should default to \"NO\"", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital
+        });
+
+        assert.equal(myswitch.type, "NO");
+      });
+
+      it("should read high as open when type is \"NC\"", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          type: "NC"
+        });
+
+        myswitch.io.write(1);
+        assert.equal(myswitch.type, "NC");
+        assert.equal(myswitch.isOpen, true);
+      });
+
+      it("should combine \"NC\" with isPullup", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          type: "NC",
+          isPullup: true
+        });
+
+        myswitch.io.write(1);
+        assert.equal(myswitch.isClosed, true);
+      });
+
+    });
+
+    describe("poll", function() {
+
+      it("should poll a provider that cannot signal edges", async function() {
+        const clock = sinon.useFakeTimers();
+        const myswitch = await new Switch({
+          pin: 13,
+          io: PolledDigital,
+          pollInterval: 5,
+          debounce: 0
+        });
+
+        const closeListener = sinon.stub();
+        const openListener = sinon.stub();
+        myswitch.on("close", closeListener);
+        myswitch.on("open", openListener);
+
+        assert.equal(myswitch.isPolling, true);
+        assert.equal(myswitch.pollInterval, 5);
+
+        myswitch.io.write(1);
+        assert.equal(closeListener.callCount, 0);
+        clock.tick(5);
+        assert.equal(closeListener.callCount, 1);
+
+        myswitch.io.write(0);
+        clock.tick(5);
+        assert.equal(openListener.callCount, 1);
+
+        myswitch.disable();
+        clock.restore();
+      });
+
+      it("should poll when the poll option is true", async function() {
+        const clock = sinon.useFakeTimers();
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          poll: true
+        });
+
+        assert.equal(myswitch.isPolling, true);
+        assert.equal(myswitch.io.edge, 0);
+
+        myswitch.disable();
+        clock.restore();
+      });
+
+      it("should debounce polled reads", async function() {
+        const clock = sinon.useFakeTimers();
+        const myswitch = await new Switch({
+          pin: 13,
+          io: PolledDigital,
+          debounce: 20
+        });
+
+        const changeListener = sinon.stub();
+        myswitch.on("change", changeListener);
+
+        myswitch.io.write(1);
+        clock.tick(10);
+        myswitch.io.write(0);
+        clock.tick(10);
+        myswitch.io.write(1);
+        clock.tick(10);
+        assert.equal(changeListener.callCount, 0);
+
+        clock.tick(20);
+        assert.deepEqual(changeListener.args, [[true]]);
+
+        myswitch.disable();
+        clock.restore();
+      });
+
+    });
+
+    describe("debounce", function() {
+
+      it("should not debounce by default", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital
+        });
+
+        assert.equal(myswitch.debounce.type, "none");
+      });
+
+      it("should ignore bounces with a \"lockout\" strategy", async function() {
+        const clock = sinon.useFakeTimers();
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          debounce: { type: "lockout", time: 20 }
+        });
+
+        const closeListener = sinon.stub();
+        const openListener = sinon.stub();
+
+        myswitch.on("close", closeListener);
+        myswitch.on("open", openListener);
+
+        myswitch.io.write(1);
+        myswitch.io.write(0);
+        myswitch.io.write(1);
+
+        assert.equal(closeListener.callCount, 1);
+        assert.equal(openListener.callCount, 0);
+
+        clock.tick(20);
+        assert.equal(openListener.callCount, 0);
+
+        myswitch.io.write(0);
+        assert.equal(openListener.callCount, 1);
+        clock.tick(20);
+        clock.restore();
+      });
+
+      it("should settle after the input stops changing with a time in ms", async function() {
+        const clock = sinon.useFakeTimers();
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          debounce: 10
+        });
+
+        const changeListener = sinon.stub();
+        myswitch.on("change", changeListener);
+
+        myswitch.io.write(1);
+        myswitch.io.write(0);
+        myswitch.io.write(1);
+        assert.equal(changeListener.callCount, 0);
+
+        clock.tick(10);
+        assert.deepEqual(changeListener.args, [[true]]);
+        clock.restore();
+      });
+
+    });
+
+  });
+
   describe("Properties", function() {
 
+    describe("debounce", function() {
+
+      it("should change the strategy", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital
+        });
+
+        myswitch.debounce = "integrator";
+        assert.deepEqual(myswitch.debounce, { type: "integrator", time: 7, samples: 5, interval: 1 });
+
+        assert.throws(() => {
+          myswitch.debounce = "magic";
+        }, /Unknown debounce strategy/);
+      });
+
+    });
+
     describe("isClosed", function() {
       it("should report isClosed is true when pin is high", async function() {
         const myswitch = await new Switch({
@@ -71,6 +359,81 @@ describe("Switch", function() {
     });
   });
 
+  describe("Methods", function() {
+
+    describe("disable", function() {
+
+      it("should ignore edges until enabled", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          debounce: 0
+        });
+
+        const changeListener = sinon.stub();
+        myswitch.on("change", changeListener);
+
+        myswitch.disable();
+        myswitch.io.write(1);
+        myswitch.io.write(0);
+        assert.equal(changeListener.callCount, 0);
+
+        myswitch.enable();
+        myswitch.io.write(1);
+        assert.deepEqual(changeListener.args, [[true]]);
+      });
+
+      it("should not emit after a \"lockout\" re-arm once disabled", async function() {
+        const clock = sinon.useFakeTimers();
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital,
+          debounce: { type: "lockout", time: 20 }
+        });
+
+        const changeListener = sinon.stub();
+        myswitch.on("change", changeListener);
+
+        myswitch.io.write(1);
+        myswitch.io.write(0);
+        myswitch.disable();
+        clock.tick(50);
+        assert.deepEqual(changeListener.args, [[true]]);
+
+        clock.restore();
+      });
+
+      it("should stop and restart polling", async function() {
+        const clock = sinon.useFakeTimers();
+        const myswitch = await new Switch({
+          pin: 13,
+          io: PolledDigital,
+          debounce: 0
+        });
+
+        const changeListener = sinon.stub();
+        myswitch.on("change", changeListener);
+
+        myswitch.disable();
+        myswitch.io.write(1);
+        clock.tick(50);
+        myswitch.io.write(0);
+        clock.tick(50);
+        assert.equal(changeListener.callCount, 0);
+
+        myswitch.enable();
+        myswitch.io.write(1);
+        clock.tick(10);
+        assert.deepEqual(changeListener.args, [[true]]);
+
+        myswitch.disable();
+        clock.restore();
+      });
+
+    });
+
+  });
+
   describe("Events", function() {
 
     describe("close", function() {
@@ -118,6 +481,52 @@ describe("Switch", function() {
       });
     });
 
+    describe("press", function() {
+
+      it("should fire \"press\" and \"release\" listeners", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital
+        });
+
+        const pressListener = sinon.stub();
+        const releaseListener = sinon.stub();
+
+        myswitch.on("press", pressListener);
+        myswitch.on("release", releaseListener);
+
+        myswitch.io.write(1);
+        myswitch.io.write(0);
+
+        assert.equal(pressListener.callCount, 1);
+        assert.equal(releaseListener.callCount, 1);
+
+        myswitch.removeListener("press", pressListener);
+        myswitch.io.write(1);
+        assert.equal(pressListener.callCount, 1);
+        assert.equal(myswitch.listenerCount("close"), 0);
+      });
+    });
+
+    describe("change", function() {
+
+      it("should fire \"change\" with the new state", async function() {
+        const myswitch = await new Switch({
+          pin: 13,
+          io: Digital
+        });
+
+        const changeListener = sinon.stub();
+
+        myswitch.on("change", changeListener);
+
+        myswitch.io.write(1);
+        myswitch.io.write(0);
+
+        assert.deepEqual(changeListener.args, [[true], [false]]);
+      });
+    });
+
   });
 
 });
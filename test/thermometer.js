@@ -0,0 +1,288 @@
+import assert from "assert";
+import sinon from "sinon";
+import { Analog } from "@dtex/mock-io";
+import Thermometer from "j5e/thermometer";
+import Sensor from "j5e/sensor";
+
+describe("Thermometer", function() {
+
+  describe("Instantiation", function() {
+
+    it("should reject the calibration option", async function() {
+      await assert.rejects(async() => {
+        await new Thermometer({
+          pin: 17,
+          io: Analog,
+          calibration: [[0, 0], [1023, 100]]
+        });
+      }, /Thermometer converts readings itself/);
+    });
+
+    it("should reject calibration after instantiation", async function() {
+      const thermometer = await new Thermometer({
+        pin: 17,
+        io: Analog
+      });
+
+      assert.throws(() => {
+        thermometer.calibration = [[0, 0], [1023, 100]];
+      }, /Thermometer converts readings itself/);
+      assert.throws(() => thermometer.calibrate(), /Thermometer converts readings itself/);
+      assert.equal(thermometer.calibration, null);
+      thermometer.disable();
+    });
+
+    it("should return a valid Thermometer instance when passed an options object", async function() {
+      const thermometer = await new Thermometer({
+        pin: 17,
+        io: Analog
+      });
+      assert.equal(thermometer instanceof Thermometer, true);
+      assert.equal(thermometer instanceof Sensor, true);
+      assert.equal(thermometer.io instanceof Analog, true);
+      assert.equal(thermometer.controller, "TMP36");
+      assert.equal(thermometer.celsius, null);
+      thermometer.disable();
+    });
+
+    it("should reject an unknown controller", async function() {
+      await assert.rejects(async() => {
+        await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "DS18B20"
+        });
+      }, /Unknown thermometer controller/);
+    });
+
+  });
+
+  describe("Options", function() {
+
+    describe("controller", function() {
+
+      it("should convert TMP36 readings", async function() {
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "TMP36"
+        });
+
+        thermometer.io.value = 233;
+        thermometer.read();
+        assert.equal(thermometer.celsius, 25.16);
+        thermometer.disable();
+      });
+
+      it("should convert LM35 readings", async function() {
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "lm35"
+        });
+
+        thermometer.io.value = 78;
+        thermometer.read();
+        assert.equal(thermometer.controller, "LM35");
+        assert.equal(thermometer.celsius, 25.16);
+        thermometer.disable();
+      });
+
+      it("should convert NTC readings with the Beta equation", async function() {
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "NTC"
+        });
+
+        thermometer.io.value = 512;
+        thermometer.read();
+        assert.equal(thermometer.celsius, 24.96);
+
+        thermometer.io.value = 300;
+        thermometer.read();
+        assert.equal(thermometer.celsius, 46.2);
+        thermometer.disable();
+      });
+
+      it("should convert NTC readings with the Steinhart-Hart equation", async function() {
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "NTC",
+          steinhart: [1.009249522e-03, 2.378405444e-04, 2.019202697e-07]
+        });
+
+        thermometer.io.value = 300;
+        thermometer.read();
+        assert.equal(thermometer.celsius, 48.67);
+        thermometer.disable();
+      });
+
+      it("should use the aref option", async function() {
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "LM35",
+          aref: 5
+        });
+
+        thermometer.io.value = 51;
+        thermometer.read();
+        assert.equal(thermometer.celsius, 24.93);
+        thermometer.disable();
+      });
+
+    });
+
+    describe("precision", function() {
+
+      it("should report event values to two decimal places by default", async function() {
+        const clock = sinon.useFakeTimers();
+        const changeSpy = sinon.spy();
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "LM35",
+          threshold: 0.5
+        });
+
+        thermometer.on("change", changeSpy);
+
+        // 25.16°C
+        thermometer.io.value = 78;
+        clock.tick(1000);
+
+        // 25.81°C
+        thermometer.io.value = 80;
+        clock.tick(1000);
+
+        assert.equal(thermometer.precision, 2);
+        assert.deepEqual(changeSpy.args, [[25.16], [25.81]]);
+
+        clock.restore();
+        thermometer.disable();
+      });
+
+    });
+
+    describe("threshold", function() {
+
+      it("should emit change events when the temperature changes by threshold degrees", async function() {
+        const clock = sinon.useFakeTimers();
+        const changeSpy = sinon.spy();
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "LM35",
+          threshold: 2
+        });
+
+        thermometer.on("change", changeSpy);
+
+        // 25.16°C
+        thermometer.io.value = 78;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 1);
+        assert.equal(changeSpy.getCall(0).args[0], 25.16);
+
+        // 26.13°C
+        thermometer.io.value = 81;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 1);
+
+        // 27.42°C
+        thermometer.io.value = 85;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 2);
+
+        clock.restore();
+        thermometer.disable();
+      });
+
+    });
+
+    describe("eventFormat", function() {
+
+      it("should add every unit to reading objects", async function() {
+        const clock = sinon.useFakeTimers();
+        const dataSpy = sinon.spy();
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          eventFormat: "object"
+        });
+
+        thermometer.on("data", dataSpy);
+        thermometer.io.value = 233;
+        clock.tick(1000);
+
+        const reading = dataSpy.getCall(0).args[0];
+        assert.equal(reading.celsius, 25.16);
+        assert.equal(reading.fahrenheit, 77.29);
+        assert.equal(reading.kelvin, 298.31);
+
+        clock.restore();
+        thermometer.disable();
+      });
+
+    });
+
+  });
+
+  describe("Properties", function() {
+
+    it("should report fahrenheit and kelvin", async function() {
+      const thermometer = await new Thermometer({
+        pin: 17,
+        io: Analog
+      });
+
+      thermometer.io.value = 233;
+      thermometer.read();
+      assert.equal(thermometer.fahrenheit, 77.29);
+      assert.equal(thermometer.kelvin, 298.31);
+      thermometer.disable();
+    });
+
+  });
+
+  describe("Methods", function() {
+
+    describe("within", function() {
+
+      it("should watch a range in fahrenheit", async function() {
+        const clock = sinon.useFakeTimers();
+        const enterSpy = sinon.spy();
+        const exitSpy = sinon.spy();
+        const thermometer = await new Thermometer({
+          pin: 17,
+          io: Analog,
+          controller: "LM35"
+        });
+
+        thermometer.within([68, 80], "fahrenheit", {
+          enter: enterSpy,
+          exit: exitSpy
+        });
+
+        // 77.29°F
+        thermometer.io.value = 78;
+        clock.tick(1000);
+        assert.equal(enterSpy.callCount, 1);
+        assert.equal(enterSpy.getCall(0).args[0], 77.29);
+
+        // 82.51°F
+        thermometer.io.value = 87;
+        clock.tick(1000);
+        assert.equal(exitSpy.callCount, 1);
+
+        clock.restore();
+        thermometer.disable();
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,144 @@
+import assert from "assert";
+import sinon from "sinon";
+import { Analog } from "@dtex/mock-io";
+import Voltmeter from "j5e/voltmeter";
+import Sensor from "j5e/sensor";
+
+describe("Voltmeter", function() {
+
+  describe("Instantiation", function() {
+
+    it("should reject the calibration option", async function() {
+      await assert.rejects(async() => {
+        await new Voltmeter({
+          pin: 17,
+          io: Analog,
+          calibration: [[0, 0], [1023, 100]]
+        });
+      }, /Voltmeter converts readings itself/);
+    });
+
+    it("should reject calibration after instantiation", async function() {
+      const voltmeter = await new Voltmeter({
+        pin: 17,
+        io: Analog
+      });
+
+      assert.throws(() => {
+        voltmeter.calibration = [[0, 0], [1023, 100]];
+      }, /Voltmeter converts readings itself/);
+      assert.throws(() => voltmeter.calibrate(), /Voltmeter converts readings itself/);
+      assert.equal(voltmeter.calibration, null);
+      voltmeter.disable();
+    });
+
+    it("should return a valid Voltmeter instance when passed an options object", async function() {
+      const voltmeter = await new Voltmeter({
+        pin: 17,
+        io: Analog
+      });
+      assert.equal(voltmeter instanceof Voltmeter, true);
+      assert.equal(voltmeter instanceof Sensor, true);
+      assert.equal(voltmeter.aref, 3.3);
+      assert.equal(voltmeter.ratio, 1);
+      assert.equal(voltmeter.threshold, 0.1);
+      assert.equal(voltmeter.precision, 2);
+      assert.equal(voltmeter.volts, null);
+      voltmeter.disable();
+    });
+
+  });
+
+  describe("Options", function() {
+
+    describe("aref", function() {
+
+      it("should scale readings to the reference voltage", async function() {
+        const voltmeter = await new Voltmeter({
+          pin: 17,
+          io: Analog,
+          aref: 5
+        });
+
+        voltmeter.io.value = 512;
+        voltmeter.read();
+        assert.equal(voltmeter.volts, 2.5);
+        voltmeter.disable();
+      });
+
+    });
+
+    describe("ratio", function() {
+
+      it("should multiply readings by the divider ratio", async function() {
+        const voltmeter = await new Voltmeter({
+          pin: 17,
+          io: Analog,
+          ratio: 2
+        });
+
+        voltmeter.io.value = 512;
+        voltmeter.read();
+        assert.equal(voltmeter.volts, 3.3);
+        voltmeter.disable();
+      });
+
+    });
+
+    describe("resistors", function() {
+
+      it("should calculate the ratio from the divider resistors", async function() {
+        const voltmeter = await new Voltmeter({
+          pin: 17,
+          io: Analog,
+          resistors: [30000, 10000]
+        });
+
+        voltmeter.io.value = 512;
+        voltmeter.read();
+        assert.equal(voltmeter.ratio, 4);
+        assert.equal(voltmeter.volts, 6.61);
+        voltmeter.disable();
+      });
+
+    });
+
+  });
+
+  describe("Events", function() {
+
+    describe("change", function() {
+
+      it("should emit volts to two decimal places", async function() {
+        const clock = sinon.useFakeTimers();
+        const changeSpy = sinon.spy();
+        const voltmeter = await new Voltmeter({
+          pin: 17,
+          io: Analog
+        });
+
+        voltmeter.on("change", changeSpy);
+
+        voltmeter.io.value = 512;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 1);
+        assert.equal(changeSpy.getCall(0).args[0], 1.65);
+
+        // Less than 0.1V
+        voltmeter.io.value = 530;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 1);
+
+        voltmeter.io.value = 600;
+        clock.tick(1000);
+        assert.equal(changeSpy.callCount, 2);
+
+        clock.restore();
+        voltmeter.disable();
+      });
+
+    });
+
+  });
+
+});